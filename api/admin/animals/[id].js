@@ -0,0 +1,212 @@
+import { PrismaClient } from "@prisma/client";
+import Redis from "ioredis";
+import pino from "pino";
+import { isAdminRequest } from "../../utils/adminAuth.js";
+import { getPromotedFields } from "../../utils/animalFilters.js";
+import {
+  applyOverrides,
+  buildAuditEntry,
+  mergeOverrides,
+  OVERRIDABLE_FIELDS,
+  parseOverrides,
+} from "../../utils/moderation.js";
+import {
+  getEnabledSources,
+  toArchivedRecord,
+  toRefreshedRecord,
+} from "../../utils/sources/index.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL, {
+  tls: {
+    rejectUnauthorized: false,
+  },
+});
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+const sourcesByName = Object.fromEntries(
+  getEnabledSources({ redis, logPrefix: "ADMIN" }).map((source) => [
+    source.name,
+    source,
+  ])
+);
+const AUDIT_HISTORY_LIMIT = 50;
+const MAX_REASON_LENGTH = 500;
+
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+
+// --- HELPER FUNCTIONS ---
+const pick = (record, keys) =>
+  Object.fromEntries(keys.map((key) => [key, record[key]]));
+
+const parseReason = (reason) =>
+  typeof reason === "string" && reason.trim()
+    ? reason.trim().slice(0, MAX_REASON_LENGTH)
+    : null;
+
+// Each action maps the stored animal and the request body to the update to
+// make and the details to audit, or to an `error` for a 400.
+const ANIMAL_ACTIONS = {
+  hide: (animal, { reason }) => {
+    const hiddenReason = parseReason(reason);
+    return {
+      data: { hiddenAt: new Date(), hiddenReason },
+      details: { reason: hiddenReason },
+    };
+  },
+
+  unhide: (animal) => ({
+    data: { hiddenAt: null, hiddenReason: null },
+    details: { wasHiddenAt: animal.hiddenAt },
+  }),
+
+  // Without `until` the pin stays until removed.
+  pin: (animal, { until }) => {
+    let pinnedUntil = null;
+    if (until !== undefined && until !== null) {
+      pinnedUntil = new Date(until);
+      if (isNaN(pinnedUntil) || pinnedUntil <= new Date()) {
+        return { error: "until must be a date in the future." };
+      }
+    }
+    return {
+      data: { pinnedAt: new Date(), pinnedUntil },
+      details: { until: pinnedUntil },
+    };
+  },
+
+  unpin: (animal) => ({
+    data: { pinnedAt: null, pinnedUntil: null },
+    details: { wasPinnedAt: animal.pinnedAt },
+  }),
+
+  // A null field removes that override; the source's value comes back on
+  // the next refresh or resync.
+  override: (animal, { fields }) => {
+    const parsed = parseOverrides(fields);
+    if (parsed.error) return { error: parsed.error };
+    const overrides = mergeOverrides(animal.overrides, parsed.fields);
+    const updated = applyOverrides(animal, overrides);
+    return {
+      data: {
+        overrides,
+        ...pick(updated, OVERRIDABLE_FIELDS),
+        ...getPromotedFields(updated),
+      },
+      details: {
+        fields: parsed.fields,
+        previous: pick(animal, Object.keys(parsed.fields)),
+      },
+    };
+  },
+};
+
+// Pulls the listing from its source now instead of waiting for the hourly
+// refresh, with the same outcome: updated, or archived once it's gone. An
+// archived animal whose listing is back is restored.
+const resyncAnimal = async (animal) => {
+  const source = sourcesByName[animal.source];
+  if (!source) {
+    return { error: `Source ${animal.source} is not enabled.`, status: 409 };
+  }
+  const listing = await source.getAnimal(animal.externalId);
+  if (listing === null) {
+    return {
+      data: animal.archivedAt ? {} : toArchivedRecord(animal),
+      details: { removedBySource: true },
+    };
+  }
+  return {
+    data: toRefreshedRecord(source, listing, animal),
+    details: { externalId: animal.externalId },
+  };
+};
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+// GET returns an animal, hidden or not, with its audit and status history.
+// POST applies one moderation action: { action: "hide", reason? } |
+// { action: "unhide" } | { action: "pin", until? } | { action: "unpin" } |
+// { action: "override", fields } | { action: "resync" }.
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ message: "Admin key required." });
+  }
+
+  const animalId = parseInt(req.query.id);
+  if (isNaN(animalId)) {
+    return res.status(400).json({ message: "Invalid animal ID." });
+  }
+
+  const { action, ...params } = req.body || {};
+  if (req.method === "POST" && !ANIMAL_ACTIONS[action] && action !== "resync") {
+    return res.status(400).json({ message: "Unknown action." });
+  }
+
+  try {
+    const animal = await prisma.animalWithVideo.findUnique({
+      where: { id: animalId },
+      include: { organization: true },
+    });
+    if (!animal) {
+      return res.status(404).json({ message: "Animal not found." });
+    }
+
+    if (req.method === "GET") {
+      const [auditLog, statusEvents] = await Promise.all([
+        prisma.adminAuditLog.findMany({
+          where: { targetType: "animal", targetId: String(animalId) },
+          orderBy: { createdAt: "desc" },
+          take: AUDIT_HISTORY_LIMIT,
+        }),
+        prisma.animalStatusEvent.findMany({
+          where: { animalId },
+          orderBy: { createdAt: "asc" },
+        }),
+      ]);
+      return res.status(200).json({ ...animal, auditLog, statusEvents });
+    }
+
+    const result =
+      action === "resync"
+        ? await resyncAnimal(animal)
+        : ANIMAL_ACTIONS[action](animal, params);
+    if (result.error) {
+      return res.status(result.status || 400).json({ message: result.error });
+    }
+
+    const audit = prisma.adminAuditLog.create({
+      data: buildAuditEntry(req, {
+        action: `animal.${action}`,
+        targetType: "animal",
+        targetId: animalId,
+        details: result.details,
+      }),
+    });
+    const [updated] = await prisma.$transaction([
+      prisma.animalWithVideo.update({
+        where: { id: animalId },
+        data: result.data,
+        include: { organization: true },
+      }),
+      audit,
+    ]);
+    await redis.del(`animal:${animalId}`);
+
+    logger.info({ animalId, action }, "Admin moderation action applied");
+    res.status(200).json(updated);
+  } catch (error) {
+    logger.error(
+      { err: error, animalId, action },
+      "Error applying admin animal action"
+    );
+    res.status(500).json({ message: "An error occurred." });
+  }
+}
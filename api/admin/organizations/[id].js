@@ -0,0 +1,136 @@
+import { PrismaClient } from "@prisma/client";
+import Redis from "ioredis";
+import pino from "pino";
+import { isAdminRequest } from "../../utils/adminAuth.js";
+import { buildAuditEntry } from "../../utils/moderation.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL, {
+  tls: {
+    rejectUnauthorized: false,
+  },
+});
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+const AUDIT_HISTORY_LIMIT = 50;
+const MAX_REASON_LENGTH = 500;
+const CACHE_DELETE_BATCH = 500;
+
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+
+// --- HELPER FUNCTIONS ---
+// The single-animal endpoint caches each animal for hours without checking
+// its organization again, so every one of the organization's animals is
+// dropped from the cache, walked by id in batches.
+const invalidateAnimalCaches = async (organizationId) => {
+  let cursor;
+  for (;;) {
+    const animals = await prisma.animalWithVideo.findMany({
+      where: { organizationId },
+      select: { id: true },
+      orderBy: { id: "asc" },
+      take: CACHE_DELETE_BATCH,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    if (animals.length === 0) return;
+    await redis.del(...animals.map(({ id }) => `animal:${id}`));
+    if (animals.length < CACHE_DELETE_BATCH) return;
+    cursor = animals[animals.length - 1].id;
+  }
+};
+
+const ORGANIZATION_ACTIONS = {
+  // Hides every animal from the organization in the feeds and stops the
+  // deep scan from ingesting new ones. Nothing is deleted.
+  block: (organization, { reason }) => {
+    const blockedReason =
+      typeof reason === "string" && reason.trim()
+        ? reason.trim().slice(0, MAX_REASON_LENGTH)
+        : null;
+    return {
+      data: { blockedAt: new Date(), blockedReason },
+      details: { reason: blockedReason },
+    };
+  },
+
+  unblock: (organization) => ({
+    data: { blockedAt: null, blockedReason: null },
+    details: { wasBlockedAt: organization.blockedAt },
+  }),
+};
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+// GET returns an organization, blocked or not, with its audit history. POST
+// applies { action: "block", reason? } or { action: "unblock" }.
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ message: "Admin key required." });
+  }
+
+  const { id } = req.query;
+  if (!id) {
+    return res.status(400).json({ message: "Invalid organization ID." });
+  }
+
+  const { action, ...params } = req.body || {};
+  if (req.method === "POST" && !ORGANIZATION_ACTIONS[action]) {
+    return res.status(400).json({ message: "Unknown action." });
+  }
+
+  try {
+    const organization = await prisma.organization.findUnique({
+      where: { id },
+      include: { _count: { select: { animals: true } } },
+    });
+    if (!organization) {
+      return res.status(404).json({ message: "Organization not found." });
+    }
+
+    if (req.method === "GET") {
+      const auditLog = await prisma.adminAuditLog.findMany({
+        where: { targetType: "organization", targetId: id },
+        orderBy: { createdAt: "desc" },
+        take: AUDIT_HISTORY_LIMIT,
+      });
+      return res.status(200).json({ ...organization, auditLog });
+    }
+
+    const { data, details } = ORGANIZATION_ACTIONS[action](
+      organization,
+      params
+    );
+    const [updated] = await prisma.$transaction([
+      prisma.organization.update({ where: { id }, data }),
+      prisma.adminAuditLog.create({
+        data: buildAuditEntry(req, {
+          action: `organization.${action}`,
+          targetType: "organization",
+          targetId: id,
+          details,
+        }),
+      }),
+    ]);
+    await redis.del(`organization-pages:${id}`);
+    await invalidateAnimalCaches(id);
+
+    logger.info(
+      { organizationId: id, action },
+      "Admin moderation action applied"
+    );
+    res.status(200).json(updated);
+  } catch (error) {
+    logger.error(
+      { err: error, organizationId: id, action },
+      "Error applying admin organization action"
+    );
+    res.status(500).json({ message: "An error occurred." });
+  }
+}
@@ -0,0 +1,42 @@
+import { PrismaClient } from "@prisma/client";
+import pino from "pino";
+import { isAdminRequest } from "../../utils/adminAuth.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ message: "Admin key required." });
+  }
+
+  const id = parseInt(req.query.id);
+  if (!(id > 0)) {
+    return res.status(400).json({ message: "Invalid run ID." });
+  }
+
+  try {
+    const run = await prisma.ingestionRun.findUnique({ where: { id } });
+    if (!run) {
+      return res.status(404).json({ message: "Run not found." });
+    }
+
+    res.status(200).json({
+      ...run,
+      durationMs: run.finishedAt ? run.finishedAt - run.startedAt : null,
+    });
+  } catch (error) {
+    logger.error({ err: error, runId: id }, "Error fetching ingestion run");
+    res.status(500).json({ message: "An error occurred." });
+  }
+}
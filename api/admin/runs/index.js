@@ -0,0 +1,88 @@
+import { PrismaClient } from "@prisma/client";
+import pino from "pino";
+import { isAdminRequest } from "../../utils/adminAuth.js";
+import {
+  INGESTION_JOBS,
+  INGESTION_RUN_STATUSES,
+} from "../../utils/ingestionRuns.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+// Lists ingestion runs newest first. Per-hub counts and error details are
+// left out; fetch /api/admin/runs/:id for those.
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ message: "Admin key required." });
+  }
+
+  const { job, status, cursor, limit } = req.query;
+  if (job && !INGESTION_JOBS.includes(job)) {
+    return res.status(400).json({ message: "Invalid job." });
+  }
+  if (status && !INGESTION_RUN_STATUSES.includes(status)) {
+    return res.status(400).json({ message: "Invalid status." });
+  }
+  // Run ids only grow, so the last id on a page is the cursor for the next.
+  const beforeId = cursor ? parseInt(cursor) : null;
+  if (cursor && !(beforeId > 0)) {
+    return res.status(400).json({ message: "Invalid cursor." });
+  }
+  const numericLimit = Math.min(
+    Math.max(parseInt(limit) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  try {
+    const rows = await prisma.ingestionRun.findMany({
+      where: {
+        job: job || undefined,
+        status: status || undefined,
+        id: beforeId ? { lt: beforeId } : undefined,
+      },
+      orderBy: { id: "desc" },
+      take: numericLimit + 1,
+      select: {
+        id: true,
+        job: true,
+        status: true,
+        startedAt: true,
+        finishedAt: true,
+        scanAfter: true,
+        apiCalls: true,
+        totals: true,
+      },
+    });
+
+    const hasMore = rows.length > numericLimit;
+    const runs = (hasMore ? rows.slice(0, numericLimit) : rows).map((run) => ({
+      ...run,
+      durationMs: run.finishedAt ? run.finishedAt - run.startedAt : null,
+    }));
+
+    res.status(200).json({
+      runs,
+      pagination: {
+        next_cursor: hasMore ? String(runs[runs.length - 1].id) : null,
+      },
+    });
+  } catch (error) {
+    logger.error(
+      { err: error, query: req.query },
+      "Error listing ingestion runs"
+    );
+    res.status(500).json({ message: "An error occurred." });
+  }
+}
@@ -1,6 +1,7 @@
 import { PrismaClient } from "@prisma/client";
 import Redis from "ioredis";
 import pino from "pino";
+import { withPendingLikes } from "../../utils/likeCounter.js";
 
 const prisma = new PrismaClient();
 const redis = new Redis(process.env.REDIS_URL, {
@@ -17,6 +18,11 @@ const logger = pino({
 
 redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
 
+// Likes not yet flushed to Postgres are added on every read, cache hit or
+// not; the like-flush cron drops the cached animal when it recounts it.
+const withLiveLikes = async (animal) =>
+  (await withPendingLikes(redis, [animal]))[0];
+
 export default async function handler(req, res) {
   if (req.method !== "GET") {
     return res.status(405).json({ message: "Method Not Allowed" });
@@ -34,22 +40,27 @@ export default async function handler(req, res) {
     const cachedAnimal = await redis.get(cacheKey);
     if (cachedAnimal) {
       res.setHeader("X-Cache", "HIT");
-      return res.status(200).json(JSON.parse(cachedAnimal));
+      return res
+        .status(200)
+        .json(await withLiveLikes(JSON.parse(cachedAnimal)));
     }
     res.setHeader("X-Cache", "MISS");
 
     const animal = await prisma.animalWithVideo.findUnique({
       where: { id: animalId },
+      include: { organization: { select: { blockedAt: true } } },
     });
 
-    if (!animal) {
+    // Moderated animals are reported missing rather than forbidden.
+    if (!animal || animal.hiddenAt || animal.organization?.blockedAt) {
       return res
         .status(404)
         .json({ message: "Animal not found in our video database." });
     }
 
-    await redis.set(cacheKey, JSON.stringify(animal), "EX", 21600);
-    res.status(200).json(animal);
+    const { organization, ...animalData } = animal;
+    await redis.set(cacheKey, JSON.stringify(animalData), "EX", 21600);
+    res.status(200).json(await withLiveLikes(animalData));
   } catch (error) {
     logger.error({ err: error, animalId: id }, "Error fetching single animal");
     res.status(500).json({ message: "An error occurred." });
@@ -0,0 +1,152 @@
+import { PrismaClient } from "@prisma/client";
+import Redis from "ioredis";
+import pino from "pino";
+import { getAuthenticatedUser } from "../../utils/auth.js";
+import { sendMail } from "../../utils/mailer.js";
+import { rateLimit } from "../../utils/rateLimit.js";
+
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL);
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+const MAX_MESSAGE_LENGTH = 5000;
+// Shelters know their listings by the id on the site they posted them to.
+const SOURCE_LABELS = { petfinder: "Petfinder", rescuegroups: "RescueGroups" };
+
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+
+const isOptionalString = (value) =>
+  value === undefined || value === null || typeof value === "string";
+
+const buildInquiryEmail = (inquiry, animal) => ({
+  to: inquiry.recipientEmail,
+  replyTo: inquiry.email || undefined,
+  subject: `Adoption inquiry about ${animal.name} (${
+    SOURCE_LABELS[animal.source] || animal.source
+  } #${animal.externalId})`,
+  text: [
+    `${inquiry.name} is interested in adopting ${animal.name}.`,
+    "",
+    inquiry.message,
+    "",
+    "--- Contact details ---",
+    `Name: ${inquiry.name}`,
+    inquiry.email ? `Email: ${inquiry.email}` : null,
+    inquiry.phone ? `Phone: ${inquiry.phone}` : null,
+    `Listing: ${animal.url}`,
+    "",
+    "Sent via Pawdopt.",
+  ]
+    .filter((line) => line !== null)
+    .join("\n"),
+});
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  // Anonymous inquiries send mail to shelters, so they're throttled per IP
+  // whoever the caller claims to be.
+  if (!(await rateLimit(redis, req, res, "inquire"))) return;
+
+  const { id } = req.query;
+  const { userId, name, email, phone, message } = req.body || {};
+
+  const animalId = parseInt(id);
+  if (isNaN(animalId)) {
+    return res.status(400).json({ message: "Invalid animal ID." });
+  }
+  if (
+    typeof name !== "string" ||
+    typeof message !== "string" ||
+    !isOptionalString(email) ||
+    !isOptionalString(phone)
+  ) {
+    return res.status(400).json({ message: "Invalid inquiry." });
+  }
+  if (!name || !message || message.length > MAX_MESSAGE_LENGTH) {
+    return res
+      .status(400)
+      .json({ message: "A name and a message are required." });
+  }
+  if ((!email && !phone) || (email && !email.includes("@"))) {
+    return res
+      .status(400)
+      .json({ message: "A valid email or phone number is required." });
+  }
+
+  try {
+    const animal = await prisma.animalWithVideo.findUnique({
+      where: { id: animalId },
+      include: { organization: true },
+    });
+    if (!animal) {
+      return res.status(404).json({ message: "Animal not found." });
+    }
+
+    // Inquiries can be sent anonymously; they're only linked to a user (and
+    // listed in their history) when the request is authenticated.
+    const user = await getAuthenticatedUser(req, { legacyUserId: userId });
+
+    // Prefer the shelter's own inbox, fall back to the listing contact.
+    const recipientEmail =
+      animal.organization?.email || animal.contact?.email || null;
+
+    let inquiry = await prisma.inquiry.create({
+      data: {
+        userId: user?.id,
+        animalId,
+        organizationId: animal.organizationId,
+        name,
+        email: email ? email.toLowerCase() : null,
+        phone,
+        message,
+        recipientEmail,
+      },
+    });
+
+    if (!recipientEmail) {
+      inquiry = await prisma.inquiry.update({
+        where: { id: inquiry.id },
+        data: { status: "failed", error: "No contact email for organization." },
+      });
+      logger.warn({ inquiryId: inquiry.id, animalId }, "Inquiry undeliverable");
+      return res.status(201).json(inquiry);
+    }
+
+    try {
+      const result = await sendMail(buildInquiryEmail(inquiry, animal));
+      inquiry = await prisma.inquiry.update({
+        where: { id: inquiry.id },
+        data: { status: "sent", sentAt: new Date() },
+      });
+      logger.info(
+        {
+          inquiryId: inquiry.id,
+          mailId: result.id,
+          transport: result.transport,
+        },
+        "Inquiry sent"
+      );
+    } catch (mailError) {
+      logger.error(
+        { err: mailError, inquiryId: inquiry.id },
+        "Failed to send inquiry email"
+      );
+      inquiry = await prisma.inquiry.update({
+        where: { id: inquiry.id },
+        data: { status: "failed", error: mailError.message },
+      });
+    }
+
+    res.status(201).json(inquiry);
+  } catch (error) {
+    logger.error({ err: error, animalId: id }, "Error creating inquiry");
+    res.status(500).json({ message: "Could not submit inquiry." });
+  }
+}
@@ -1,7 +1,13 @@
 import { PrismaClient } from "@prisma/client";
+import Redis from "ioredis";
 import pino from "pino";
+import { getAuthenticatedUser } from "../../utils/auth.js";
+import { addPendingLike } from "../../utils/likeCounter.js";
+import { rateLimit } from "../../utils/rateLimit.js";
+import { bumpTrendingScores, TRENDING_WEIGHTS } from "../../utils/trending.js";
 
 const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL);
 const logger = pino({
   transport:
     process.env.NODE_ENV !== "production"
@@ -9,13 +15,15 @@ const logger = pino({
       : undefined,
 });
 
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+
 export default async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ message: "Method Not Allowed" });
   }
 
   const { id } = req.query;
-  const { action } = req.body;
+  const { action, userId } = req.body;
 
   const animalId = parseInt(id);
 
@@ -24,21 +32,63 @@ export default async function handler(req, res) {
   }
 
   try {
-    const updatedAnimal = await prisma.animalWithVideo.update({
+    const user = await getAuthenticatedUser(req, { legacyUserId: userId });
+    if (!user) {
+      return res.status(401).json({ message: "Authentication required." });
+    }
+    if (!(await rateLimit(redis, req, res, "like", { userId: user.id }))) {
+      return;
+    }
+
+    const animal = await prisma.animalWithVideo.findUnique({
       where: { id: animalId },
-      data: {
-        likeCount: action === "like" ? { increment: 1 } : { decrement: 1 },
-      },
-      select: { likeCount: true },
+      select: { id: true, likeCount: true },
     });
+    if (!animal) {
+      return res.status(404).json({ message: "Animal not found." });
+    }
 
-    res.status(200).json({ newLikeCount: updatedAnimal.likeCount });
+    // The Favorite row is the source of truth; likeCount only moves when a
+    // favorite is actually created or removed, so repeated taps are no-ops.
+    // The count itself is kept in Redis and recounted by the like-flush
+    // cron, so a popular animal's row isn't locked on every tap.
+    const { count: changed } =
+      action === "like"
+        ? await prisma.favorite.createMany({
+            data: [{ userId: user.id, animalId }],
+            skipDuplicates: true,
+          })
+        : await prisma.favorite.deleteMany({
+            where: { userId: user.id, animalId },
+          });
+
+    // A request that changed nothing still marks the count for a recount:
+    // it may be the retry of one that saved the favorite and then failed.
+    const direction = action === "like" ? 1 : -1;
+    const newLikeCount = await addPendingLike(
+      redis,
+      animalId,
+      animal.likeCount,
+      changed > 0 ? direction : 0
+    );
+    if (changed > 0) {
+      await bumpTrendingScores(
+        redis,
+        new Map([[animalId, direction * TRENDING_WEIGHTS.like]])
+      );
+    }
+
+    res.status(200).json({
+      newLikeCount,
+      isFavorited: action === "like",
+    });
   } catch (error) {
     logger.error(
       { err: error, animalId: id, action },
       "Error updating like count"
     );
-    if (error.code === "P2025") {
+    // The animal was deleted between the lookup and the favorite write
+    if (error.code === "P2003") {
       return res.status(404).json({ message: "Animal not found." });
     }
     res.status(500).json({ message: "Could not update like count." });
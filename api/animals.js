@@ -3,7 +3,19 @@ import Redis from "ioredis";
 import querystring from "querystring";
 import pino from "pino";
 import { URL } from "url";
-import opencage from "opencage-api-client";
+import { getUserCoordinates } from "./utils/geocode.js";
+import {
+  getClientIds,
+  RateLimitError,
+  sendRateLimited,
+} from "./utils/rateLimit.js";
+import { milesToKm, withinRadiusSql } from "./utils/geo.js";
+import {
+  buildAnimalWhere,
+  parseAnimalFilters,
+} from "./utils/animalFilters.js";
+import { VISIBLE_ANIMAL_WHERE } from "./utils/moderation.js";
+import { withPendingLikes } from "./utils/likeCounter.js";
 
 // --- INITIALIZATION ---
 const prisma = new PrismaClient();
@@ -15,42 +27,25 @@ const logger = pino({
       : undefined,
 });
 
-redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+const MAX_LIMIT = 100;
+const COUNT_CACHE_TTL_SECONDS = 300;
 
-// --- HELPER: GET AND CACHE COORDINATES ---
-const getUserCoordinates = async (location) => {
-  if (!location || typeof location !== "string") return null;
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
 
-  const sanitizedLocation = location.toLowerCase().replace(/[^a-z0-9,]/g, "");
-  const cacheKey = `coords:${sanitizedLocation}`;
+// --- HELPER FUNCTIONS ---
+// Cursors are opaque to clients: base64url JSON of the last row's sort key.
+const encodeCursor = (animal) =>
+  Buffer.from(
+    JSON.stringify({ c: animal.createdAt.toISOString(), i: animal.id })
+  ).toString("base64url");
 
+const decodeCursor = (cursor) => {
   try {
-    const cachedCoords = await redis.get(cacheKey);
-    if (cachedCoords) {
-      logger.info({ location }, `Cache HIT for coordinates`);
-      return JSON.parse(cachedCoords);
-    }
-
-    logger.info(
-      { location },
-      `Cache MISS for coordinates. Calling OpenCage API.`
-    );
-    const geoData = await opencage.geocode({
-      q: location,
-      key: process.env.OPENCAGE_API_KEY,
-    });
-    if (!geoData.results || geoData.results.length === 0) {
-      throw new Error(`Could not determine coordinates for ${location}`);
-    }
-
-    const { lat, lng } = geoData.results[0].geometry;
-    const coords = { lat, lon: lng };
-
-    // Cache coordinates for 30 days
-    await redis.set(cacheKey, JSON.stringify(coords), "EX", 60 * 60 * 24 * 30);
-    return coords;
-  } catch (error) {
-    logger.error({ err: error, location }, "Failed to get coordinates");
+    const { c, i } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const createdAt = new Date(c);
+    if (isNaN(createdAt.getTime()) || !Number.isInteger(i)) return null;
+    return { createdAt, id: i };
+  } catch {
     return null;
   }
 };
@@ -65,92 +60,142 @@ export default async function handler(req, res) {
   const query = Object.fromEntries(fullUrl.searchParams.entries());
 
   // 1. Destructure all expected filters from the query
+  const filters = parseAnimalFilters(query);
   const {
-    type,
-    age,
-    gender,
     location,
     distance = "100", // Default as string to match query
-    page = "1",
+    cursor,
+    page, // Offset paging, kept for app builds that predate cursors
     limit = "20",
   } = query;
 
-  const cacheKey = `db-animals:vercel:${querystring.stringify(query)}`;
+  const numericLimit = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT);
+  const numericPage = cursor ? null : Math.max(parseInt(page) || 1, 1);
+  const decodedCursor = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !decodedCursor) {
+    return res.status(400).json({ message: "Invalid cursor." });
+  }
+
+  // Only known parameters go into the keys, in a fixed order, so equivalent
+  // requests share entries. Totals are cached per filter set, not per page.
+  const filterKey = querystring.stringify({
+    ...filters,
+    location: location?.toLowerCase(),
+    distance: location ? distance : undefined,
+  });
+  const cacheKey = `db-animals:v2:${filterKey}:${
+    cursor ? `cursor=${cursor}` : `page=${numericPage}`
+  }:limit=${numericLimit}`;
+  const countCacheKey = `db-animals:v2:count:${filterKey}`;
 
   try {
     const cachedData = await redis.get(cacheKey);
+    // Cached pages keep stored like counts; pending likes are added live.
     if (cachedData) {
       res.setHeader("X-Cache", "HIT");
-      return res.status(200).json(JSON.parse(cachedData));
+      const data = JSON.parse(cachedData);
+      return res.status(200).json({
+        ...data,
+        animals: await withPendingLikes(redis, data.animals),
+      });
     }
     res.setHeader("X-Cache", "MISS");
 
     // 2. Build a dynamic 'where' clause for Prisma
     const whereClause = {
       status: "adoptable", // Always get adoptable animals
+      ...buildAnimalWhere(filters),
+      ...VISIBLE_ANIMAL_WHERE,
     };
-    if (type) whereClause.type = type;
-    if (age) whereClause.age = age;
-    if (gender) whereClause.gender = gender;
-
-    let animalIdsInRadius = null;
 
     // 3. If a location is provided, perform a geospatial search first
     if (location) {
-      const coords = await getUserCoordinates(location);
+      const coords = await getUserCoordinates(location, {
+        clientIds: getClientIds(req),
+      });
       if (coords) {
-        const userLat = coords.lat;
-        const userLon = coords.lon;
-        const radiusKm = Number(distance) * 1.60934;
-
         const results = await prisma.$queryRaw`
           SELECT id FROM "AnimalWithVideo"
-          WHERE (6371 * acos(LEAST(1.0, cos(radians(${userLat})) * cos(radians(latitude)) * cos(radians(longitude) - radians(${userLon})) + sin(radians(${userLat})) * sin(radians(latitude))))) < ${radiusKm}
+          WHERE ${withinRadiusSql(coords, milesToKm(distance))}
         `;
-        animalIdsInRadius = results.map((r) => r.id);
+        const animalIdsInRadius = results.map((r) => r.id);
 
         // If no animals are found in the radius, we can stop early
         if (animalIdsInRadius.length === 0) {
-          return res
-            .status(200)
-            .json({
-              animals: [],
-              pagination: { current_page: 1, total_pages: 0 },
-            });
+          return res.status(200).json({
+            animals: [],
+            pagination: {
+              current_page: numericPage,
+              total_pages: 0,
+              total_count: 0,
+              next_cursor: null,
+            },
+          });
         }
 
         whereClause.id = { in: animalIdsInRadius };
       }
     }
 
-    const numericPage = Number(page);
-    const numericLimit = Number(limit);
+    // 4. Keyset pagination over (createdAt, id), newest first. Rows the
+    // crons insert or delete never shift a page the client is walking.
+    const pageWhere = decodedCursor
+      ? {
+          AND: [
+            whereClause,
+            {
+              OR: [
+                { createdAt: { lt: decodedCursor.createdAt } },
+                {
+                  createdAt: decodedCursor.createdAt,
+                  id: { lt: decodedCursor.id },
+                },
+              ],
+            },
+          ],
+        }
+      : whereClause;
+
+    const cachedCount = await redis.get(countCacheKey);
+    const [rows, totalCount] = await Promise.all([
+      prisma.animalWithVideo.findMany({
+        where: pageWhere,
+        include: { organization: true },
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+        take: numericLimit + 1,
+        skip: numericPage ? (numericPage - 1) * numericLimit : undefined,
+      }),
+      cachedCount !== null
+        ? Number(cachedCount)
+        : prisma.animalWithVideo.count({ where: whereClause }),
+    ]);
+    if (cachedCount === null) {
+      await redis.set(countCacheKey, totalCount, "EX", COUNT_CACHE_TTL_SECONDS);
+    }
 
-    // 4. Fetch the final list of animals from your database
-    const animals = await prisma.animalWithVideo.findMany({
-      where: whereClause,
-      include: { organization: true },
-      take: numericLimit,
-      skip: (numericPage - 1) * numericLimit,
-    });
+    const hasMore = rows.length > numericLimit;
+    const animals = hasMore ? rows.slice(0, numericLimit) : rows;
 
     // 5. Format the response with the correct pagination shape
     const responseData = {
       animals,
       pagination: {
         current_page: numericPage,
-        // Approximate total pages based on the location search result
-        total_pages: animalIdsInRadius
-          ? Math.ceil(animalIdsInRadius.length / numericLimit)
-          : Math.ceil(animals.length / numericLimit), // Fallback if no location
+        total_pages: Math.ceil(totalCount / numericLimit),
+        total_count: totalCount,
+        next_cursor: hasMore ? encodeCursor(animals[animals.length - 1]) : null,
       },
     };
 
     // Cache the database response for 30 minutes
     await redis.set(cacheKey, JSON.stringify(responseData), "EX", 1800);
 
-    res.status(200).json(responseData);
+    res.status(200).json({
+      ...responseData,
+      animals: await withPendingLikes(redis, animals),
+    });
   } catch (error) {
+    if (error instanceof RateLimitError) return sendRateLimited(res, error);
     logger.error({ err: error.message, query }, "Error in /api/animals");
     res
       .status(500)
@@ -0,0 +1,119 @@
+import { PrismaClient } from "@prisma/client";
+import Redis from "ioredis";
+import querystring from "querystring";
+import pino from "pino";
+import { visibleAnimalSql } from "../utils/moderation.js";
+import { withPendingLikes } from "../utils/likeCounter.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL);
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+const MAX_LIMIT = 50;
+const DEFAULT_DAYS = 90;
+const MAX_DAYS = 365;
+
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+// "Happy tails": animals adopted in the last `days` whose videos someone
+// watched in the app, most recent adoption first. Archived animals are
+// included, since a listing usually disappears soon after an adoption.
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { days, page = "1", limit = "20" } = req.query;
+  const numericDays = Math.min(
+    Math.max(parseInt(days) || DEFAULT_DAYS, 1),
+    MAX_DAYS
+  );
+  const numericPage = Math.max(parseInt(page) || 1, 1);
+  const numericLimit = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT);
+  const cacheKey = `adopted-animals:${querystring.stringify({
+    days: numericDays,
+    page: numericPage,
+    limit: numericLimit,
+  })}`;
+
+  try {
+    const cachedData = await redis.get(cacheKey);
+    if (cachedData) {
+      res.setHeader("X-Cache", "HIT");
+      const data = JSON.parse(cachedData);
+      return res.status(200).json({
+        ...data,
+        animals: await withPendingLikes(redis, data.animals),
+      });
+    }
+    res.setHeader("X-Cache", "MISS");
+
+    const since = new Date(Date.now() - numericDays * 24 * 60 * 60 * 1000);
+    // An animal returned and adopted again counts from its latest adoption;
+    // one that's since gone back up for adoption isn't a happy tail yet.
+    const rows = await prisma.$queryRaw`
+      WITH adoptions AS (
+        SELECT "animalId", MAX("createdAt") AS "adoptedAt"
+        FROM "AnimalStatusEvent"
+        WHERE "toStatus" = 'adopted' AND "createdAt" >= ${since}
+        GROUP BY "animalId"
+      )
+      SELECT a.id, adoptions."adoptedAt",
+             COUNT(sv."userId")::int AS "watchCount",
+             COUNT(*) OVER ()::int AS "totalCount"
+      FROM adoptions
+      JOIN "AnimalWithVideo" a ON a.id = adoptions."animalId"
+      JOIN "SeenAnimal" sv ON sv."animalId" = a.id AND sv.feed = 'videos'
+      WHERE a.status = 'adopted'
+      ${visibleAnimalSql("a", { includeArchived: true })}
+      GROUP BY a.id, adoptions."adoptedAt"
+      ORDER BY adoptions."adoptedAt" DESC, a.id DESC
+      LIMIT ${numericLimit} OFFSET ${(numericPage - 1) * numericLimit}
+    `;
+
+    const totalCount = rows[0]?.totalCount ?? 0;
+    const animalsData = await prisma.animalWithVideo.findMany({
+      where: { id: { in: rows.map((r) => r.id) } },
+      include: { organization: true },
+    });
+    const animals = rows
+      .map((row) => {
+        const animal = animalsData.find((a) => a.id === row.id);
+        if (!animal) return null;
+        return {
+          ...animal,
+          adoptedAt: row.adoptedAt,
+          watchCount: row.watchCount,
+        };
+      })
+      .filter(Boolean);
+
+    const responseData = {
+      animals,
+      pagination: {
+        current_page: numericPage,
+        total_pages: Math.ceil(totalCount / numericLimit),
+        total_count: totalCount,
+      },
+    };
+
+    // Adoptions only land with the daily refresh, so an hour is plenty
+    await redis.set(cacheKey, JSON.stringify(responseData), "EX", 3600);
+    res.status(200).json({
+      ...responseData,
+      animals: await withPendingLikes(redis, animals),
+    });
+  } catch (error) {
+    logger.error(
+      { err: error, query: req.query },
+      "Error in /api/animals/adopted"
+    );
+    res.status(500).json({ message: "Failed to fetch adopted animals." });
+  }
+}
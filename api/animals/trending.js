@@ -0,0 +1,159 @@
+import { PrismaClient } from "@prisma/client";
+import Redis from "ioredis";
+import querystring from "querystring";
+import pino from "pino";
+import { getUserCoordinates } from "../utils/geocode.js";
+import {
+  getClientIds,
+  RateLimitError,
+  sendRateLimited,
+} from "../utils/rateLimit.js";
+import { milesToKm, withinRadiusSql } from "../utils/geo.js";
+import {
+  buildAnimalFilterSql,
+  buildAnimalWhere,
+  parseAnimalFilters,
+} from "../utils/animalFilters.js";
+import { VISIBLE_ANIMAL_WHERE, visibleAnimalSql } from "../utils/moderation.js";
+import { getTopTrending, getTrendingScores } from "../utils/trending.js";
+import { withPendingLikes } from "../utils/likeCounter.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL);
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+const MAX_LIMIT = 50;
+// Every animal in the radius is scored, so the radius is capped
+const DEFAULT_DISTANCE_MILES = 100;
+const MAX_DISTANCE_MILES = 250;
+// Without a location, the top of the global set is filtered down to
+// adoptable, visible animals matching the filters.
+const GLOBAL_POOL_SIZE = 500;
+const CACHE_TTL_SECONDS = 300;
+
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+
+// --- HELPER FUNCTIONS ---
+// Scores every adoptable animal in the radius; a local rail shouldn't
+// depend on the area making the global top list.
+const rankInRadius = async (coords, distance, filters) => {
+  const rows = await prisma.$queryRaw`
+    SELECT id FROM "AnimalWithVideo"
+    WHERE ${withinRadiusSql(coords, milesToKm(distance))}
+    AND status = 'adoptable'
+    ${visibleAnimalSql()}
+    ${buildAnimalFilterSql(filters)}
+  `;
+  const ids = rows.map((r) => r.id);
+  const scores = await getTrendingScores(redis, ids);
+  return ids.map((animalId, i) => ({ animalId, score: scores[i] }));
+};
+
+const rankGlobally = async (filters) => {
+  const top = await getTopTrending(redis, GLOBAL_POOL_SIZE);
+  const eligible = await prisma.animalWithVideo.findMany({
+    where: {
+      id: { in: top.map((t) => t.animalId) },
+      status: "adoptable",
+      ...buildAnimalWhere(filters),
+      ...VISIBLE_ANIMAL_WHERE,
+    },
+    select: { id: true },
+  });
+  const eligibleIds = new Set(eligible.map((a) => a.id));
+  return top.filter((t) => eligibleIds.has(t.animalId));
+};
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+// "Popular near you": adoptable animals ranked by their time-decayed
+// trending score (see api/utils/trending.js). Takes the same location,
+// distance and animal filters as /api/animals, though distance is capped at
+// MAX_DISTANCE_MILES; without a location it ranks nationwide.
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const filters = parseAnimalFilters(req.query);
+  const { location, distance, limit = "20" } = req.query;
+  const numericLimit = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT);
+  const numericDistance = Math.min(
+    Number(distance) > 0 ? Number(distance) : DEFAULT_DISTANCE_MILES,
+    MAX_DISTANCE_MILES
+  );
+  const cacheKey = `trending-animals:${querystring.stringify({
+    ...filters,
+    location: location?.toLowerCase(),
+    distance: location ? numericDistance : undefined,
+    limit: numericLimit,
+  })}`;
+
+  try {
+    const cachedData = await redis.get(cacheKey);
+    if (cachedData) {
+      res.setHeader("X-Cache", "HIT");
+      const data = JSON.parse(cachedData);
+      return res.status(200).json({
+        ...data,
+        animals: await withPendingLikes(redis, data.animals),
+      });
+    }
+    res.setHeader("X-Cache", "MISS");
+
+    let ranked;
+    if (location) {
+      const coords = await getUserCoordinates(location, {
+        clientIds: getClientIds(req),
+      });
+      ranked = coords
+        ? await rankInRadius(coords, numericDistance, filters)
+        : [];
+    } else {
+      ranked = await rankGlobally(filters);
+    }
+
+    // Animals nobody has interacted with lately aren't trending, however
+    // close they are.
+    const topRanked = ranked
+      .filter((r) => r.score > 0)
+      .sort((a, b) => b.score - a.score || b.animalId - a.animalId)
+      .slice(0, numericLimit);
+
+    const animalsData = await prisma.animalWithVideo.findMany({
+      where: { id: { in: topRanked.map((r) => r.animalId) } },
+      include: { organization: true },
+    });
+    const animals = topRanked
+      .map(({ animalId, score }) => {
+        const animal = animalsData.find((a) => a.id === animalId);
+        return animal
+          ? { ...animal, trendingScore: Math.round(score * 100) / 100 }
+          : null;
+      })
+      .filter(Boolean);
+
+    const responseData = { animals };
+    await redis.set(
+      cacheKey,
+      JSON.stringify(responseData),
+      "EX",
+      CACHE_TTL_SECONDS
+    );
+    res.status(200).json({
+      ...responseData,
+      animals: await withPendingLikes(redis, animals),
+    });
+  } catch (error) {
+    if (error instanceof RateLimitError) return sendRateLimited(res, error);
+    logger.error(
+      { err: error, query: req.query },
+      "Error in /api/animals/trending"
+    );
+    res.status(500).json({ message: "Failed to fetch trending animals." });
+  }
+}
@@ -0,0 +1,60 @@
+import { PrismaClient } from "@prisma/client";
+import { randomUUID } from "crypto";
+import Redis from "ioredis";
+import pino from "pino";
+import { findLegacyUser, issueUserToken } from "../utils/auth.js";
+import { rateLimit } from "../utils/rateLimit.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL);
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+// Anonymous device registration. New installs get a fresh user. Existing
+// installs keep the uuid they've been using, and its history, by sending
+// it as `userId`; that works for as long as the uuid alone is accepted (see
+// getAuthenticatedUser in api/utils/auth.js), any number of times, so no
+// one can claim a uuid away from the devices that have it. Unknown uuids
+// get a fresh user. `migrated` in the response says which happened.
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  // Most registrations create a user, so they're throttled per IP.
+  if (!(await rateLimit(redis, req, res, "register"))) return;
+
+  const { userId } = req.body || {};
+  if (userId !== undefined && (typeof userId !== "string" || !userId.trim())) {
+    return res.status(400).json({ message: "Invalid userId." });
+  }
+
+  try {
+    const legacyUser = userId ? await findLegacyUser(userId.trim()) : null;
+    const migrated = Boolean(legacyUser);
+    let uuid = legacyUser?.uuid;
+    if (!migrated) {
+      uuid = randomUUID();
+      await prisma.user.create({ data: { uuid, claimedAt: new Date() } });
+    }
+
+    logger.info(
+      { uuid, migrated, migrationRequested: Boolean(userId) },
+      "Registered device"
+    );
+    res
+      .status(201)
+      .json({ userId: uuid, token: issueUserToken({ uuid }), migrated });
+  } catch (error) {
+    logger.error({ err: error }, "Error registering device");
+    res.status(500).json({ message: "Could not register device." });
+  }
+}
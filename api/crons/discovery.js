@@ -1,22 +1,26 @@
 // api/crons/deep-scan.js
 import { PrismaClient } from "@prisma/client";
 import Redis from "ioredis";
-import axios from "axios";
 import dotenv from "dotenv";
-import querystring from "querystring";
 import opencage from "opencage-api-client";
-import axiosRetry from "axios-retry";
-import { makeApiCallWithCount } from "../utils/apiTracker.js"; // Note: updated path for Vercel
+import {
+  getEnabledSources,
+  getPlayableVideoUrl,
+  toAnimalRecord,
+  toOrganizationRecord,
+  toRefreshedRecord,
+} from "../utils/sources/index.js";
+import { matchSavedSearches } from "../utils/savedSearches.js";
+import { trackIngestionRun } from "../utils/ingestionRuns.js";
+import { geocodeAnimal } from "../utils/animalLocation.js";
+import { RateLimitError } from "../utils/rateLimit.js";
 
 // --- CONFIGURATION ---
 dotenv.config();
-const PETFINDER_API_URL = "https://api.petfinder.com/v2/animals";
 const PAGE_LIMIT = 100;
 const SCAN_RADIUS_MILES = 150;
 const LAST_DEEP_SCAN_TIMESTAMP_KEY = "worker:last_deep_scan_time";
-const PETFINDER_TOKEN_KEY = "petfinder_token";
 const CITY_COORDS_CACHE_KEY = "worker:coords";
-const DAILY_SCAN_BUDGET = 500;
 
 const CITY_HUBS = [
   "Seattle, WA",
@@ -55,67 +59,16 @@ const CITY_HUBS = [
 // --- INITIALIZATION ---
 const prisma = new PrismaClient();
 const redis = new Redis(process.env.REDIS_URL, {
-  // Add explicit TLS for Vercel compatibility
-  tls: {
-    rejectUnauthorized: false,
-  },
-});
-
-axiosRetry(axios, {
-  retries: 3,
-  retryDelay: (retryCount) => {
-    console.log(`Request failed, retrying in ${retryCount * 2} seconds...`);
-    return retryCount * 2000;
-  },
-  retryCondition: (error) =>
-    axiosRetry.isNetworkError(error) ||
-    (error.response && error.response.status >= 500),
+  // Add explicit TLS for Vercel compatibility. REDIS_TLS=false turns it off
+  // for a local Redis (see dev/run-cron.js).
+  tls:
+    process.env.REDIS_TLS === "false"
+      ? undefined
+      : { rejectUnauthorized: false },
 });
+const sources = getEnabledSources({ redis, logPrefix: "DEEP SCAN" });
 
 // --- HELPER FUNCTIONS ---
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-const getValidToken = async () => {
-  let token = await redis.get(PETFINDER_TOKEN_KEY);
-  if (token) return token;
-
-  const lockKey = `${PETFINDER_TOKEN_KEY}_lock`;
-  if (await redis.set(lockKey, "1", "EX", 10, "NX")) {
-    try {
-      console.log("DEEP SCAN: No valid token, fetching new one...");
-      const response = await makeApiCallWithCount(() =>
-        axios.post(
-          "https://api.petfinder.com/v2/oauth2/token",
-          querystring.stringify({
-            grant_type: "client_credentials",
-            client_id: process.env.PETFINDER_CLIENT_ID,
-            client_secret: process.env.PETFINDER_CLIENT_SECRET,
-          })
-        )
-      );
-      const { access_token, expires_in } = response.data;
-      await redis.set(PETFINDER_TOKEN_KEY, access_token, "EX", expires_in - 60);
-      await delay(2000);
-      return access_token;
-    } finally {
-      await redis.del(lockKey);
-    }
-  } else {
-    await delay(2000);
-    return getValidToken();
-  }
-};
-
-const getPlayableVideoUrl = (animal) => {
-  if (!animal.videos?.length) return null;
-  const match = animal.videos[0].embed?.match(/src="([^"]+)"/);
-  const url = match ? match[1] : null;
-  if (url && !/youtube|vimeo|facebook/.test(url)) {
-    return url;
-  }
-  return null;
-};
-
 const getCityCoordinates = async (city) => {
   const cachedCoords = await redis.hget(CITY_COORDS_CACHE_KEY, city);
   if (cachedCoords) return JSON.parse(cachedCoords);
@@ -132,8 +85,53 @@ const getCityCoordinates = async (city) => {
   throw new Error(`Could not geocode ${city}`);
 };
 
+// Places a new animal as precisely as its listing allows. The hub is the
+// last resort; the geocode-backfill cron retries hub-placed animals, those
+// without `geocodedAt` (budget ran out) first.
+const locateAnimal = async (animal, organizationAddress, hubCoords) => {
+  if (animal.latitude != null && animal.longitude != null) {
+    return {
+      latitude: animal.latitude,
+      longitude: animal.longitude,
+      coordsPrecision: "source",
+    };
+  }
+  const atHub = {
+    latitude: hubCoords.lat,
+    longitude: hubCoords.lng,
+    coordsPrecision: "hub",
+  };
+  try {
+    const located = await geocodeAnimal({
+      address: animal.contact?.address,
+      organizationAddress,
+    });
+    return { ...(located || atHub), geocodedAt: new Date() };
+  } catch (error) {
+    if (error instanceof RateLimitError) return atHub;
+    throw error;
+  }
+};
+
+// Every stored animal needs a city and state. Listings without them (some
+// RescueGroups animals have no location and an org without an address)
+// take their organization's, then the hub's they were found near. Returns
+// where they came from, for the run counts.
+const placeInCity = (record, organizationAddress, hub) => {
+  if (record.city && record.state) return "listing";
+  const [hubCity, hubState] = hub.split(", ");
+  if (organizationAddress?.city && organizationAddress?.state) {
+    record.city = organizationAddress.city;
+    record.state = organizationAddress.state;
+    return "organization";
+  }
+  record.city = hubCity;
+  record.state = hubState;
+  return "hub";
+};
+
 // --- MAIN WORKER LOGIC (Extracted for use in the handler) ---
-async function runDeepScan() {
+async function runDeepScan(run) {
   const startTime = new Date();
   console.log(
     `DEEP SCAN: [${startTime.toLocaleString()}] Starting daily deep scan...`
@@ -144,150 +142,253 @@ async function runDeepScan() {
     console.log(
       "DEEP SCAN: No last scan time found. Run discovery-worker first to set an initial timestamp."
     );
+    await run.finish("skipped", "No last scan time found.");
     return;
   }
+  run.setScanAfter(lastScanTime);
   console.log(
     `DEEP SCAN: Scanning for all animals added after: ${lastScanTime}`
   );
 
   let totalCallsThisRun = 0;
   let totalAnimalsAdded = 0;
-
-  for (const city of CITY_HUBS) {
-    if (totalCallsThisRun >= DAILY_SCAN_BUDGET) {
-      console.log(
-        `DEEP SCAN: Daily API budget of ${DAILY_SCAN_BUDGET} reached. Halting scan.`
-      );
-      break;
+  // New listings from blocked organizations aren't ingested at all.
+  const blockedOrgIds = new Set(
+    (
+      await prisma.organization.findMany({
+        where: { blockedAt: { not: null } },
+        select: { id: true },
+      })
+    ).map((org) => org.id)
+  );
+  const isFromBlockedOrg = (source, animal) =>
+    Boolean(animal.organizationExternalId) &&
+    blockedOrgIds.has(source.organizationId(animal.organizationExternalId));
+  // Organization addresses for geocoding, kept as orgs are fetched.
+  const organizationAddresses = new Map();
+  const getOrganizationAddress = async (organizationId) => {
+    if (!organizationId) return null;
+    if (!organizationAddresses.has(organizationId)) {
+      const org = await prisma.organization.findUnique({
+        where: { id: organizationId },
+        select: { address: true },
+      });
+      organizationAddresses.set(organizationId, org?.address ?? null);
     }
+    return organizationAddresses.get(organizationId);
+  };
+  const newAnimals = [];
 
-    try {
-      const coords = await getCityCoordinates(city);
-      let currentPage = 1;
-      let hasMorePages = true;
-
-      while (hasMorePages) {
-        if (totalCallsThisRun >= DAILY_SCAN_BUDGET) break;
+  for (const source of sources) {
+    let sourceCalls = 0;
+    console.log(`DEEP SCAN: Scanning source ${source.name}...`);
 
-        const token = await getValidToken();
-        const response = await makeApiCallWithCount(() =>
-          axios.get(PETFINDER_API_URL, {
-            headers: { Authorization: `Bearer ${token}` },
-            params: {
-              limit: PAGE_LIMIT,
-              page: currentPage,
-              location: `${coords.lat},${coords.lng}`,
-              distance: SCAN_RADIUS_MILES,
-              sort: "recent",
-              after: lastScanTime,
-            },
-          })
+    for (const city of CITY_HUBS) {
+      if (sourceCalls >= source.dailyScanBudget) {
+        console.log(
+          `DEEP SCAN: Daily API budget of ${source.dailyScanBudget} reached for ${source.name}. Moving on.`
         );
-        totalCallsThisRun++;
+        break;
+      }
 
-        const { animals, pagination } = response.data;
-        if (!animals || animals.length === 0) {
-          hasMorePages = false;
-          continue;
-        }
+      const hubStats = {
+        source: source.name,
+        hub: city,
+        apiCalls: 0,
+        found: 0,
+        withVideo: 0,
+        added: 0,
+        errors: 0,
+      };
+      run.addHub(hubStats);
+      const countCall = () => {
+        sourceCalls++;
+        hubStats.apiCalls++;
+        run.addApiCalls();
+      };
 
-        const animalsWithVideo = animals.filter(getPlayableVideoUrl);
+      try {
+        const coords = await getCityCoordinates(city);
+        let currentPage = 1;
+        let hasMorePages = true;
 
-        const uniqueOrgIds = [
-          ...new Set(animalsWithVideo.map((a) => a.organization_id)),
-        ];
-        for (const orgId of uniqueOrgIds) {
-          if (totalCallsThisRun >= DAILY_SCAN_BUDGET) break;
-          try {
-            const orgResponse = await makeApiCallWithCount(() =>
-              axios.get(`https://api.petfinder.com/v2/organizations/${orgId}`, {
-                headers: { Authorization: `Bearer ${token}` },
-              })
-            );
-            totalCallsThisRun++;
-            const orgData = orgResponse.data.organization;
-            await prisma.organization.upsert({
-              where: { id: orgId },
-              update: {
-                name: orgData.name,
-                email: orgData.email,
-                phone: orgData.phone,
-                address: orgData.address,
-                url: orgData.url,
-              },
-              create: {
-                id: orgId,
-                name: orgData.name,
-                email: orgData.email,
-                phone: orgData.phone,
-                address: orgData.address,
-                url: orgData.url,
-              },
-            });
-          } catch (orgError) {
-            console.error(
-              `DEEP SCAN: Failed to fetch/save org ${orgId}: ${orgError.message}`
-            );
-          }
-        }
+        while (hasMorePages) {
+          if (sourceCalls >= source.dailyScanBudget) break;
 
-        for (const animal of animalsWithVideo) {
-          const existingAnimal = await prisma.animalWithVideo.findUnique({
-            where: { id: animal.id },
+          const page = await source.searchRecent({
+            lat: coords.lat,
+            lng: coords.lng,
+            radiusMiles: SCAN_RADIUS_MILES,
+            after: lastScanTime,
+            page: currentPage,
+            limit: PAGE_LIMIT,
           });
-          if (existingAnimal) continue;
-          try {
-            await prisma.animalWithVideo.create({
-              data: {
-                id: animal.id,
-                name: animal.name,
-                url: animal.url,
-                type: animal.type,
-                age: animal.age,
-                gender: animal.gender,
-                size: animal.size,
-                status: animal.status,
-                breeds: animal.breeds,
-                colors: animal.colors,
-                photos: animal.photos,
-                videos: animal.videos,
-                contact: animal.contact,
-                attributes: animal.attributes,
-                environment: animal.environment,
-                city: animal.contact?.address?.city,
-                state: animal.contact?.address?.state,
-                latitude: coords.lat,
-                longitude: coords.lng,
-                likeCount: 0,
-                organizationId: animal.organization_id,
+          countCall();
+
+          if (page.animals.length === 0) {
+            hasMorePages = false;
+            continue;
+          }
+
+          const animalsWithVideo = page.animals.filter(
+            (animal) =>
+              getPlayableVideoUrl(animal) && !isFromBlockedOrg(source, animal)
+          );
+          hubStats.found += page.animals.length;
+          hubStats.withVideo += animalsWithVideo.length;
+
+          const uniqueOrgIds = [
+            ...new Set(
+              animalsWithVideo
+                .map((a) => a.organizationExternalId)
+                .filter(Boolean)
+            ),
+          ];
+          for (const orgExternalId of uniqueOrgIds) {
+            if (sourceCalls >= source.dailyScanBudget) break;
+            try {
+              const org = toOrganizationRecord(
+                source,
+                await source.getOrganization(orgExternalId)
+              );
+              countCall();
+              const { id, ...orgFields } = org;
+              await prisma.organization.upsert({
+                where: { id },
+                update: orgFields,
+                create: org,
+              });
+              organizationAddresses.set(id, org.address);
+            } catch (orgError) {
+              hubStats.errors++;
+              run.addError(orgError, {
+                source: source.name,
+                hub: city,
+                organizationId: orgExternalId,
+              });
+              console.error(
+                `DEEP SCAN: Failed to fetch/save ${source.name} org ${orgExternalId}: ${orgError.message}`
+              );
+            }
+          }
+
+          for (const animal of animalsWithVideo) {
+            const existingAnimal = await prisma.animalWithVideo.findUnique({
+              where: {
+                source_externalId: {
+                  source: source.name,
+                  externalId: animal.externalId,
+                },
+              },
+              select: {
+                id: true,
+                status: true,
+                videos: true,
+                overrides: true,
+                archivedAt: true,
               },
             });
-            totalAnimalsAdded++;
-          } catch (dbError) {
-            console.error(
-              `DEEP SCAN: Failed to save animal ${animal.id}: ${dbError.message}`
-            );
+            // A listing that reappears after being archived is restored.
+            if (existingAnimal?.archivedAt) {
+              try {
+                await prisma.animalWithVideo.update({
+                  where: { id: existingAnimal.id },
+                  data: toRefreshedRecord(source, animal, existingAnimal),
+                });
+                run.count("restored");
+              } catch (dbError) {
+                hubStats.errors++;
+                run.addError(dbError, {
+                  source: source.name,
+                  hub: city,
+                  externalId: animal.externalId,
+                });
+              }
+            }
+            if (existingAnimal) continue;
+            try {
+              const organizationId = animal.organizationExternalId
+                ? source.organizationId(animal.organizationExternalId)
+                : null;
+              const organizationAddress = await getOrganizationAddress(
+                organizationId
+              );
+              const location = await locateAnimal(
+                animal,
+                organizationAddress,
+                coords
+              );
+              const record = toAnimalRecord(source, animal);
+              const citySource = placeInCity(record, organizationAddress, city);
+              const createdAnimal = await prisma.animalWithVideo.create({
+                data: {
+                  ...record,
+                  ...location,
+                  likeCount: 0,
+                  organizationId,
+                  statusEvents: { create: { toStatus: animal.status } },
+                },
+              });
+              run.count(`${location.coordsPrecision}Coords`);
+              if (citySource !== "listing") run.count(`${citySource}City`);
+              newAnimals.push(createdAnimal);
+              totalAnimalsAdded++;
+              hubStats.added++;
+              run.count("added");
+            } catch (dbError) {
+              hubStats.errors++;
+              run.addError(dbError, {
+                source: source.name,
+                hub: city,
+                externalId: animal.externalId,
+              });
+              console.error(
+                `DEEP SCAN: Failed to save ${source.name} animal ${animal.externalId}: ${dbError.message}`
+              );
+            }
           }
-        }
 
-        hasMorePages = pagination && currentPage < pagination.total_pages;
-        currentPage++;
+          hasMorePages = page.hasMorePages;
+          currentPage++;
+        }
+      } catch (error) {
+        hubStats.errors++;
+        run.addError(error, { source: source.name, hub: city });
+        console.error(
+          `DEEP SCAN: Failed to process hub ${city} for ${source.name}:`,
+          error.message
+        );
       }
-    } catch (error) {
-      console.error(`DEEP SCAN: Failed to process hub ${city}:`, error.message);
     }
+
+    totalCallsThisRun += sourceCalls;
+    await run.checkpoint();
   }
 
   await redis.set(LAST_DEEP_SCAN_TIMESTAMP_KEY, startTime.toISOString());
   console.log(
     `DEEP SCAN: Scan complete. Total new animals added: ${totalAnimalsAdded}. Total API calls used: ${totalCallsThisRun}`
   );
+
+  try {
+    const { matches, usersNotified } = await matchSavedSearches(newAnimals);
+    run.count("savedSearchMatches", matches);
+    console.log(
+      `DEEP SCAN: Saved search matching complete. New matches: ${matches}. Users notified: ${usersNotified}.`
+    );
+  } catch (matchError) {
+    run.addError(matchError, { step: "saved-searches" });
+    console.error(
+      "DEEP SCAN: Failed to match saved searches:",
+      matchError.message
+    );
+  }
 }
 
 // --- VERCEL SERVERLESS FUNCTION HANDLER ---
 export default async function handler(req, res) {
   try {
-    await runDeepScan();
+    await trackIngestionRun("deep-scan", runDeepScan);
     res.status(200).send("Deep Scan completed successfully.");
   } catch (error) {
     console.error(
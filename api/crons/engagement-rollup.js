@@ -0,0 +1,146 @@
+// api/crons/engagement-rollup.js
+import { Prisma, PrismaClient } from "@prisma/client";
+import Redis from "ioredis";
+import dotenv from "dotenv";
+import {
+  ENGAGEMENT_BUFFER_KEY,
+  ENGAGEMENT_COLUMNS,
+  rollupEngagementEvents,
+} from "../utils/engagementEvents.js";
+
+// --- CONFIGURATION ---
+dotenv.config();
+const READ_CHUNK_SIZE = 1000;
+const WRITE_BATCH_SIZE = 200;
+// Keeps a run well inside the lock's TTL; whatever's left is picked up by
+// the next run.
+const MAX_CHUNKS_PER_RUN = 50;
+// The buffer is renamed here before it's read, so events posted during the
+// rollup land in a fresh buffer for the next run.
+const PROCESSING_KEY = `${ENGAGEMENT_BUFFER_KEY}:processing`;
+const WORKER_LOCK_KEY = "worker:engagement_rollup_lock";
+const WORKER_LOCK_TTL_SECONDS = 600;
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL, {
+  // Add explicit TLS for Vercel compatibility. REDIS_TLS=false turns it off
+  // for a local Redis (see dev/run-cron.js).
+  tls:
+    process.env.REDIS_TLS === "false"
+      ? undefined
+      : { rejectUnauthorized: false },
+});
+
+// --- HELPER FUNCTIONS ---
+const COLUMN_LIST = Prisma.raw(
+  ENGAGEMENT_COLUMNS.map((column) => `"${column}"`).join(", ")
+);
+const INCREMENTS = Prisma.raw(
+  ENGAGEMENT_COLUMNS.map(
+    (column) =>
+      `"${column}" = "AnimalEngagement"."${column}" + EXCLUDED."${column}"`
+  ).join(", ")
+);
+
+const toValuesSql = (row) =>
+  Prisma.sql`(${row.animalId}::int, ${row.date}::date, ${Prisma.join(
+    ENGAGEMENT_COLUMNS.map(
+      (column) =>
+        Prisma.sql`${row[column]}::${Prisma.raw(
+          column === "watchSeconds" ? "float8" : "int"
+        )}`
+    )
+  )})`;
+
+// Adds each row onto the day's totals. Events for animals that have since
+// been deleted are dropped.
+const writeRows = (rows) => prisma.$executeRaw`
+  INSERT INTO "AnimalEngagement" ("animalId", "date", ${COLUMN_LIST}, "updatedAt")
+  SELECT v."animalId", v."date", ${COLUMN_LIST}, NOW()
+  FROM (VALUES ${Prisma.join(rows.map(toValuesSql))})
+    AS v("animalId", "date", ${COLUMN_LIST})
+  WHERE EXISTS (SELECT 1 FROM "AnimalWithVideo" a WHERE a.id = v."animalId")
+  ON CONFLICT ("animalId", "date") DO UPDATE SET ${INCREMENTS}, "updatedAt" = NOW()
+`;
+
+// Rolls up and writes one chunk from the head of the processing list, then
+// trims it off, so a run that dies part-way only repeats that chunk.
+const rollupChunk = async () => {
+  const chunk = await redis.lrange(PROCESSING_KEY, 0, READ_CHUNK_SIZE - 1);
+  const events = [];
+  let malformed = 0;
+  for (const raw of chunk) {
+    try {
+      events.push(JSON.parse(raw));
+    } catch {
+      malformed++;
+    }
+  }
+
+  const rows = [...rollupEngagementEvents(events).values()];
+  let written = 0;
+  for (let i = 0; i < rows.length; i += WRITE_BATCH_SIZE) {
+    written += await writeRows(rows.slice(i, i + WRITE_BATCH_SIZE));
+  }
+  await redis.ltrim(PROCESSING_KEY, chunk.length, -1);
+  return { read: chunk.length, events: events.length, written, malformed };
+};
+
+// --- MAIN WORKER LOGIC ---
+async function runEngagementRollup() {
+  console.log("ENGAGEMENT ROLLUP: Starting rollup...");
+
+  // Events claimed by an earlier run are rolled up first: ones it didn't get
+  // to, or a chunk it died on. If it died after writing that chunk, the
+  // chunk is counted twice; losing it would be worse for the daily totals
+  // than the rare overcount.
+  if (!(await redis.exists(PROCESSING_KEY))) {
+    if (!(await redis.exists(ENGAGEMENT_BUFFER_KEY))) {
+      console.log("ENGAGEMENT ROLLUP: No buffered events.");
+      return;
+    }
+    await redis.rename(ENGAGEMENT_BUFFER_KEY, PROCESSING_KEY);
+  }
+
+  const totals = { events: 0, written: 0, malformed: 0 };
+  for (let chunks = 0; chunks < MAX_CHUNKS_PER_RUN; chunks++) {
+    const result = await rollupChunk();
+    totals.events += result.events;
+    totals.written += result.written;
+    totals.malformed += result.malformed;
+    if (result.read < READ_CHUNK_SIZE) break;
+  }
+  const remaining = await redis.llen(PROCESSING_KEY);
+
+  console.log(
+    `ENGAGEMENT ROLLUP: Rolled up ${totals.events} events into ${totals.written} daily row updates. Malformed: ${totals.malformed}. Left for the next run: ${remaining}.`
+  );
+}
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+export default async function handler(req, res) {
+  const acquired = await redis.set(
+    WORKER_LOCK_KEY,
+    "1",
+    "EX",
+    WORKER_LOCK_TTL_SECONDS,
+    "NX"
+  );
+  if (!acquired) {
+    return res.status(200).send("Engagement rollup already running.");
+  }
+
+  try {
+    await runEngagementRollup();
+    res.status(200).send("Engagement rollup completed successfully.");
+  } catch (error) {
+    console.error(
+      "ENGAGEMENT ROLLUP: A fatal error occurred during the scheduled run:",
+      error.message
+    );
+    res.status(500).send("Engagement rollup failed.");
+  } finally {
+    await redis.del(WORKER_LOCK_KEY);
+  }
+}
@@ -0,0 +1,116 @@
+// api/crons/geocode-backfill.js
+import { PrismaClient } from "@prisma/client";
+import Redis from "ioredis";
+import dotenv from "dotenv";
+import { geocodeAnimal } from "../utils/animalLocation.js";
+import { RateLimitError } from "../utils/rateLimit.js";
+
+// --- CONFIGURATION ---
+dotenv.config();
+const BATCH_LIMIT = 25;
+const MAX_ANIMALS_PER_RUN = 150;
+// An address that didn't geocode is retried a month later.
+const RETRY_AFTER_DAYS = 30;
+const WORKER_LOCK_KEY = "worker:geocode_backfill_lock";
+const WORKER_LOCK_TTL_SECONDS = 600;
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL, {
+  // Add explicit TLS for Vercel compatibility. REDIS_TLS=false turns it off
+  // for a local Redis (see dev/run-cron.js).
+  tls:
+    process.env.REDIS_TLS === "false"
+      ? undefined
+      : { rejectUnauthorized: false },
+});
+
+// --- MAIN WORKER LOGIC ---
+// Re-places animals still sitting at their deep-scan hub: rows from before
+// per-animal geocoding, and new ones the scan couldn't geocode.
+async function runGeocodeBackfill() {
+  console.log("GEOCODE BACKFILL: Starting geocode backfill run...");
+  const retryBefore = new Date(
+    Date.now() - RETRY_AFTER_DAYS * 24 * 60 * 60 * 1000
+  );
+  const stats = { located: 0, unresolved: 0, errors: 0 };
+  const attemptedIds = [];
+
+  batches: while (attemptedIds.length < MAX_ANIMALS_PER_RUN) {
+    // Never-tried rows first (geocodedAt is null), then the oldest attempts.
+    const animals = await prisma.animalWithVideo.findMany({
+      where: {
+        id: { notIn: attemptedIds.length > 0 ? attemptedIds : undefined },
+        coordsPrecision: "hub",
+        OR: [{ geocodedAt: null }, { geocodedAt: { lt: retryBefore } }],
+      },
+      orderBy: [{ geocodedAt: { sort: "asc", nulls: "first" } }, { id: "asc" }],
+      take: Math.min(BATCH_LIMIT, MAX_ANIMALS_PER_RUN - attemptedIds.length),
+      select: {
+        id: true,
+        contact: true,
+        organization: { select: { address: true } },
+      },
+    });
+    if (animals.length === 0) break;
+
+    // Sequential on purpose: neighbours share addresses, so later animals
+    // in a batch hit the cache the earlier ones filled.
+    for (const animal of animals) {
+      attemptedIds.push(animal.id);
+      try {
+        const located = await geocodeAnimal({
+          address: animal.contact?.address,
+          organizationAddress: animal.organization?.address,
+        });
+        await prisma.animalWithVideo.update({
+          where: { id: animal.id },
+          data: { ...located, geocodedAt: new Date() },
+        });
+        stats[located ? "located" : "unresolved"]++;
+      } catch (error) {
+        if (error instanceof RateLimitError) {
+          console.log(
+            "GEOCODE BACKFILL: Geocoding budget spent. Stopping until the next run."
+          );
+          break batches;
+        }
+        stats.errors++;
+        console.error(
+          `GEOCODE BACKFILL: Failed to geocode animal ${animal.id}: ${error.message}`
+        );
+      }
+    }
+  }
+
+  console.log(
+    `GEOCODE BACKFILL: Run complete. Located: ${stats.located}, Unresolved: ${stats.unresolved}, Errors: ${stats.errors}.`
+  );
+}
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+export default async function handler(req, res) {
+  const acquired = await redis.set(
+    WORKER_LOCK_KEY,
+    "1",
+    "EX",
+    WORKER_LOCK_TTL_SECONDS,
+    "NX"
+  );
+  if (!acquired) {
+    return res.status(200).send("Geocode backfill already running.");
+  }
+
+  try {
+    await runGeocodeBackfill();
+    res.status(200).send("Geocode backfill completed successfully.");
+  } catch (error) {
+    console.error(
+      "GEOCODE BACKFILL: A fatal error occurred during the scheduled run:",
+      error.message
+    );
+    res.status(500).send("Geocode backfill failed.");
+  } finally {
+    await redis.del(WORKER_LOCK_KEY);
+  }
+}
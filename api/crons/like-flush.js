@@ -0,0 +1,92 @@
+// api/crons/like-flush.js
+import { Prisma, PrismaClient } from "@prisma/client";
+import Redis from "ioredis";
+import dotenv from "dotenv";
+import {
+  acknowledgeFlushedLikes,
+  claimPendingLikes,
+} from "../utils/likeCounter.js";
+
+// --- CONFIGURATION ---
+dotenv.config();
+const BATCH_LIMIT = 500;
+const WORKER_LOCK_KEY = "worker:like_flush_lock";
+const WORKER_LOCK_TTL_SECONDS = 120;
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL, {
+  // Add explicit TLS for Vercel compatibility. REDIS_TLS=false turns it off
+  // for a local Redis (see dev/run-cron.js).
+  tls:
+    process.env.REDIS_TLS === "false"
+      ? undefined
+      : { rejectUnauthorized: false },
+});
+
+// --- HELPER FUNCTIONS ---
+// One UPDATE per batch, recounting from Favorite rather than adding the
+// deltas, so a count that drifted heals itself. Raw SQL leaves lastSeenAt
+// alone, which the refresh uses to pick animals to re-check; likes
+// shouldn't postpone that.
+const recountLikes = (animalIds) => prisma.$executeRaw`
+  UPDATE "AnimalWithVideo" AS a
+  SET "likeCount" = (
+    SELECT COUNT(*)::int FROM "Favorite" f WHERE f."animalId" = a.id
+  )
+  WHERE a.id IN (${Prisma.join(animalIds)})
+`;
+
+// --- MAIN WORKER LOGIC ---
+async function runLikeFlush() {
+  const animalIds = await claimPendingLikes(redis);
+  if (animalIds.length === 0) {
+    console.log("LIKE FLUSH: No pending likes.");
+    return;
+  }
+  console.log(
+    `LIKE FLUSH: Recounting likes for ${animalIds.length} animals...`
+  );
+
+  let updated = 0;
+  for (let i = 0; i < animalIds.length; i += BATCH_LIMIT) {
+    const batch = animalIds.slice(i, i + BATCH_LIMIT);
+    updated += await recountLikes(batch);
+    // Animals that have since been deleted are acknowledged too, or they'd
+    // be retried forever.
+    await acknowledgeFlushedLikes(redis, batch);
+    await redis.del(...batch.map((animalId) => `animal:${animalId}`));
+  }
+
+  console.log(
+    `LIKE FLUSH: Flush complete. Animals updated: ${updated} of ${animalIds.length}.`
+  );
+}
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+export default async function handler(req, res) {
+  // Overlapping runs would race on the claimed hash.
+  const acquired = await redis.set(
+    WORKER_LOCK_KEY,
+    "1",
+    "EX",
+    WORKER_LOCK_TTL_SECONDS,
+    "NX"
+  );
+  if (!acquired) {
+    return res.status(200).send("Like flush already running.");
+  }
+
+  try {
+    await runLikeFlush();
+    res.status(200).send("Like flush completed successfully.");
+  } catch (error) {
+    console.error(
+      "LIKE FLUSH: A fatal error occurred during the scheduled run:",
+      error.message
+    );
+    res.status(500).send("Like flush failed.");
+  } finally {
+    await redis.del(WORKER_LOCK_KEY);
+  }
+}
@@ -0,0 +1,205 @@
+// api/crons/notifications.js
+import { PrismaClient } from "@prisma/client";
+import Redis from "ioredis";
+import dotenv from "dotenv";
+import { getPushTransport } from "../utils/pushTransport.js";
+
+// --- CONFIGURATION ---
+dotenv.config();
+const BATCH_LIMIT = 100;
+const MAX_BATCHES_PER_RUN = 20;
+const MAX_PUSH_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const WORKER_LOCK_KEY = "worker:notifications_lock";
+const WORKER_LOCK_TTL_SECONDS = 300;
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL, {
+  // Add explicit TLS for Vercel compatibility. REDIS_TLS=false turns it off
+  // for a local Redis (see dev/run-cron.js).
+  tls:
+    process.env.REDIS_TLS === "false"
+      ? undefined
+      : { rejectUnauthorized: false },
+});
+
+// --- HELPER FUNCTIONS ---
+// 1m, 2m, 4m, 8m... between attempts.
+const nextAttemptDate = (attempts) =>
+  new Date(Date.now() + BASE_RETRY_DELAY_MS * 2 ** (attempts - 1));
+
+const deliverBatch = async (transport, notifications, stats) => {
+  const messages = [];
+  const owners = [];
+
+  for (const notification of notifications) {
+    const { deviceTokens } = notification.user;
+    const tokens = deviceTokens.filter((t) =>
+      transport.providers.includes(t.provider)
+    );
+    if (tokens.length === 0) {
+      // Say why: a user with only APNs/FCM tokens isn't the same as a user
+      // with no devices at all.
+      const unreachable = [...new Set(deviceTokens.map((t) => t.provider))];
+      await prisma.notification.update({
+        where: { id: notification.id },
+        data: {
+          pushStatus: "skipped",
+          lastError:
+            unreachable.length > 0
+              ? `No devices the "${transport.name}" transport can reach (${unreachable.join(", ")}).`
+              : "No registered devices.",
+        },
+      });
+      stats.skipped++;
+      if (unreachable.length > 0) stats.unreachable++;
+      continue;
+    }
+    for (const token of tokens) {
+      messages.push({
+        to: token.token,
+        title: notification.title,
+        body: notification.body,
+        data: { ...notification.data, notificationId: notification.id },
+      });
+      owners.push(notification.id);
+    }
+  }
+  if (messages.length === 0) return;
+
+  let results;
+  try {
+    results = await transport.send(messages);
+  } catch (error) {
+    // The transport failed outright, before sending anything: retry
+    // everything. Per-chunk failures come back as results instead.
+    results = messages.map(() => ({
+      ok: false,
+      invalidToken: false,
+      error: error.message,
+    }));
+  }
+
+  const outcomeById = new Map();
+  const deadTokens = [];
+  results.forEach((result, index) => {
+    const id = owners[index];
+    const outcome = outcomeById.get(id) || { ok: false, error: null };
+    if (result.ok) {
+      outcome.ok = true;
+    } else {
+      outcome.error = result.error;
+      if (result.invalidToken) deadTokens.push(messages[index].to);
+    }
+    outcomeById.set(id, outcome);
+  });
+
+  if (deadTokens.length > 0) {
+    const { count } = await prisma.deviceToken.deleteMany({
+      where: { token: { in: deadTokens } },
+    });
+    stats.prunedTokens += count;
+  }
+
+  for (const notification of notifications) {
+    const outcome = outcomeById.get(notification.id);
+    if (!outcome) continue;
+
+    const attempts = notification.pushAttempts + 1;
+    if (outcome.ok) {
+      await prisma.notification.update({
+        where: { id: notification.id },
+        data: {
+          pushStatus: "sent",
+          pushAttempts: attempts,
+          sentAt: new Date(),
+        },
+      });
+      stats.sent++;
+    } else if (attempts >= MAX_PUSH_ATTEMPTS) {
+      await prisma.notification.update({
+        where: { id: notification.id },
+        data: {
+          pushStatus: "failed",
+          pushAttempts: attempts,
+          lastError: outcome.error,
+        },
+      });
+      stats.failed++;
+    } else {
+      await prisma.notification.update({
+        where: { id: notification.id },
+        data: {
+          pushAttempts: attempts,
+          nextAttemptAt: nextAttemptDate(attempts),
+          lastError: outcome.error,
+        },
+      });
+      stats.retried++;
+    }
+  }
+};
+
+// --- MAIN WORKER LOGIC ---
+async function runNotificationDelivery() {
+  const transport = getPushTransport();
+  console.log(
+    `NOTIFICATIONS: Starting delivery run using the "${transport.name}" transport...`
+  );
+
+  const stats = {
+    sent: 0,
+    retried: 0,
+    failed: 0,
+    skipped: 0,
+    unreachable: 0,
+    prunedTokens: 0,
+  };
+
+  for (let batchNumber = 0; batchNumber < MAX_BATCHES_PER_RUN; batchNumber++) {
+    const notifications = await prisma.notification.findMany({
+      where: { pushStatus: "pending", nextAttemptAt: { lte: new Date() } },
+      orderBy: { nextAttemptAt: "asc" },
+      take: BATCH_LIMIT,
+      include: { user: { include: { deviceTokens: true } } },
+    });
+    if (notifications.length === 0) break;
+
+    await deliverBatch(transport, notifications, stats);
+
+    if (notifications.length < BATCH_LIMIT) break;
+  }
+
+  console.log(
+    `NOTIFICATIONS: Run complete. Sent: ${stats.sent}, Retrying: ${stats.retried}, Failed: ${stats.failed}, Skipped: ${stats.skipped} (${stats.unreachable} with only unreachable devices), Pruned tokens: ${stats.prunedTokens}.`
+  );
+}
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+export default async function handler(req, res) {
+  // Overlapping runs would double-send, so only one may hold the lock.
+  const acquired = await redis.set(
+    WORKER_LOCK_KEY,
+    "1",
+    "EX",
+    WORKER_LOCK_TTL_SECONDS,
+    "NX"
+  );
+  if (!acquired) {
+    return res.status(200).send("Notification delivery already running.");
+  }
+
+  try {
+    await runNotificationDelivery();
+    res.status(200).send("Notification delivery completed successfully.");
+  } catch (error) {
+    console.error(
+      "NOTIFICATIONS: A fatal error occurred during the scheduled run:",
+      error.message
+    );
+    res.status(500).send("Notification delivery failed.");
+  } finally {
+    await redis.del(WORKER_LOCK_KEY);
+  }
+}
@@ -1,17 +1,20 @@
 // api/crons/refresh.js
 import { PrismaClient } from "@prisma/client";
 import Redis from "ioredis";
-import axios from "axios";
-import axiosRetry from "axios-retry";
 import dotenv from "dotenv";
-import querystring from "querystring";
-import { makeApiCallWithCount } from "../utils/apiTracker.js"; // Note: updated path for Vercel
+import {
+  getEnabledSources,
+  toArchivedRecord,
+  toRefreshedRecord,
+} from "../utils/sources/index.js";
+import { trackIngestionRun } from "../utils/ingestionRuns.js";
+import {
+  detectAnimalChanges,
+  notifyAnimalFollowers,
+} from "../utils/animalAlerts.js";
 
 // --- CONFIGURATION ---
 dotenv.config();
-const PETFINDER_API_URL = "https://api.petfinder.com/v2/animals";
-const PETFINDER_TOKEN_KEY = "petfinder_token";
-
 const REFRESH_THRESHOLD_HOURS = 23;
 const BATCH_LIMIT = 25;
 const API_DELAY_MS = 2000;
@@ -19,22 +22,19 @@ const API_DELAY_MS = 2000;
 // --- INITIALIZATION ---
 const prisma = new PrismaClient();
 const redis = new Redis(process.env.REDIS_URL, {
-  // Add explicit TLS for Vercel compatibility
-  tls: {
-    rejectUnauthorized: false,
-  },
-});
-
-axiosRetry(axios, {
-  retries: 3,
-  retryDelay: (retryCount) => {
-    console.log(`Request failed, retrying in ${retryCount * 2} seconds...`);
-    return retryCount * 2000;
-  },
-  retryCondition: (error) =>
-    axiosRetry.isNetworkError(error) ||
-    (error.response && error.response.status >= 500),
+  // Add explicit TLS for Vercel compatibility. REDIS_TLS=false turns it off
+  // for a local Redis (see dev/run-cron.js).
+  tls:
+    process.env.REDIS_TLS === "false"
+      ? undefined
+      : { rejectUnauthorized: false },
 });
+const sourcesByName = Object.fromEntries(
+  getEnabledSources({ redis, logPrefix: "HOURLY REFRESH" }).map((source) => [
+    source.name,
+    source,
+  ])
+);
 
 // --- HELPER FUNCTIONS ---
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -59,41 +59,9 @@ const withRetry = async (fn, retries = 3, delayMs = 60000) => {
   throw lastError;
 };
 
-const getValidToken = async () => {
-  let token = await redis.get(PETFINDER_TOKEN_KEY);
-  if (token) return token;
-
-  const lockKey = `${PETFINDER_TOKEN_KEY}_lock`;
-  if (await redis.set(lockKey, "1", "EX", 10, "NX")) {
-    try {
-      console.log("HOURLY REFRESH: No valid token, fetching new one...");
-      const response = await makeApiCallWithCount(() =>
-        axios.post(
-          "https://api.petfinder.com/v2/oauth2/token",
-          querystring.stringify({
-            grant_type: "client_credentials",
-            client_id: process.env.PETFINDER_CLIENT_ID,
-            client_secret: process.env.PETFINDER_CLIENT_SECRET,
-          })
-        )
-      );
-      const { access_token, expires_in } = response.data;
-      await redis.set(PETFINDER_TOKEN_KEY, access_token, "EX", expires_in - 60);
-      await delay(2000);
-      return access_token;
-    } finally {
-      await redis.del(lockKey);
-    }
-  } else {
-    await delay(2000);
-    return getValidToken();
-  }
-};
-
 // --- MAIN PROCESSING LOGIC ---
-async function runHourlyRefresh() {
+async function runHourlyRefresh(run) {
   console.log("HOURLY REFRESH: Starting hourly refresh job...");
-  const token = await getValidToken();
 
   let totalProcessed = 0;
   let hasMoreAnimals = true;
@@ -103,7 +71,12 @@ async function runHourlyRefresh() {
     cutoffDate.setHours(cutoffDate.getHours() - REFRESH_THRESHOLD_HOURS);
 
     const animalsToAudit = await prisma.animalWithVideo.findMany({
-      where: { lastSeenAt: { lt: cutoffDate } },
+      // Animals from a disabled source are left alone until it's re-enabled.
+      where: {
+        lastSeenAt: { lt: cutoffDate },
+        archivedAt: null,
+        source: { in: Object.keys(sourcesByName) },
+      },
       orderBy: { lastSeenAt: "asc" },
       take: BATCH_LIMIT,
     });
@@ -123,65 +96,78 @@ async function runHourlyRefresh() {
     );
 
     const apiCallPromises = animalsToAudit.map((animal) =>
-      makeApiCallWithCount(() =>
-        axios.get(`${PETFINDER_API_URL}/${animal.id}`, {
-          headers: { Authorization: `Bearer ${token}` },
-        })
-      )
+      sourcesByName[animal.source].getAnimal(animal.externalId)
     );
     const results = await Promise.allSettled(apiCallPromises);
+    run.addApiCalls(animalsToAudit.length);
 
     const updatePromises = [];
-    const deletePromises = [];
+    const archivePromises = [];
+    const changes = [];
 
     results.forEach((result, index) => {
       const originalAnimal = animalsToAudit[index];
-      if (result.status === "fulfilled") {
-        const animalData = result.value.data.animal;
-        updatePromises.push(
+      if (result.status === "rejected") {
+        run.addError(result.reason, {
+          animalId: originalAnimal.id,
+          source: originalAnimal.source,
+        });
+        console.error(
+          `HOURLY REFRESH: Failed to audit animal ID ${originalAnimal.id}. Error: ${result.reason.message}`
+        );
+      } else if (result.value === null) {
+        // The source no longer lists it. Archive rather than delete so its
+        // favorites, views and history survive.
+        changes.push(...detectAnimalChanges(originalAnimal, null));
+        archivePromises.push(
           prisma.animalWithVideo.update({
             where: { id: originalAnimal.id },
-            data: {
-              name: animalData.name,
-              url: animalData.url,
-              type: animalData.type,
-              age: animalData.age,
-              gender: animalData.gender,
-              size: animalData.size,
-              status: animalData.status,
-              breeds: animalData.breeds,
-              colors: animalData.colors,
-              photos: animalData.photos,
-              videos: animalData.videos,
-              contact: animalData.contact,
-              attributes: animalData.attributes,
-              environment: animalData.environment,
-              city: animalData.contact.address.city,
-              state: animalData.contact.address.state,
-            },
+            data: toArchivedRecord(originalAnimal),
           })
         );
       } else {
-        if (result.reason.response?.status === 404) {
-          deletePromises.push(
-            prisma.animalWithVideo.delete({ where: { id: originalAnimal.id } })
-          );
-        } else {
-          console.error(
-            `HOURLY REFRESH: Failed to audit animal ID ${originalAnimal.id}. Error: ${result.reason.message}`
-          );
-        }
+        const data = toRefreshedRecord(
+          sourcesByName[originalAnimal.source],
+          result.value,
+          originalAnimal
+        );
+        changes.push(...detectAnimalChanges(originalAnimal, data));
+        updatePromises.push(
+          prisma.animalWithVideo.update({
+            where: { id: originalAnimal.id },
+            data,
+          })
+        );
       }
     });
 
-    if (updatePromises.length > 0 || deletePromises.length > 0) {
-      await prisma.$transaction([...updatePromises, ...deletePromises]);
+    if (updatePromises.length > 0 || archivePromises.length > 0) {
+      await prisma.$transaction([...updatePromises, ...archivePromises]);
+      run.count("updated", updatePromises.length);
+      run.count("archived", archivePromises.length);
       console.log(
-        `HOURLY REFRESH: ==> Batch complete. Updated: ${updatePromises.length}, Deleted: ${deletePromises.length}.`
+        `HOURLY REFRESH: ==> Batch complete. Updated: ${updatePromises.length}, Archived: ${archivePromises.length}.`
+      );
+    }
+
+    // Alerts are best-effort: a failure here shouldn't redo a batch that's
+    // already saved.
+    try {
+      const queued = await notifyAnimalFollowers(changes);
+      run.count("alertsQueued", queued);
+      if (queued > 0) {
+        console.log(`HOURLY REFRESH: Queued ${queued} follower alerts.`);
+      }
+    } catch (error) {
+      run.addError(error, { step: "alerts" });
+      console.error(
+        `HOURLY REFRESH: Failed to queue follower alerts. Error: ${error.message}`
       );
     }
 
     totalProcessed += animalsToAudit.length;
+    run.count("processed", animalsToAudit.length);
+    await run.checkpoint();
 
     if (hasMoreAnimals) {
       await delay(API_DELAY_MS);
@@ -197,7 +183,12 @@ async function runHourlyRefresh() {
 export default async function handler(req, res) {
   try {
     // The withRetry logic is perfect for handling transient errors in a serverless context.
-    await withRetry(runHourlyRefresh, 3, 60000);
+    // Each attempt is recorded as its own run.
+    await withRetry(
+      () => trackIngestionRun("refresh", runHourlyRefresh),
+      3,
+      60000
+    );
     res.status(200).send("Refresh job completed successfully.");
   } catch (error) {
     console.error("HOURLY REFRESH: Job failed after all retries.", error);
@@ -0,0 +1,57 @@
+// api/crons/trending-sweep.js
+import Redis from "ioredis";
+import dotenv from "dotenv";
+import { decayTrendingScores } from "../utils/trending.js";
+
+// --- CONFIGURATION ---
+dotenv.config();
+const WORKER_LOCK_KEY = "worker:trending_sweep_lock";
+const WORKER_LOCK_TTL_SECONDS = 120;
+
+// --- INITIALIZATION ---
+const redis = new Redis(process.env.REDIS_URL, {
+  // Add explicit TLS for Vercel compatibility. REDIS_TLS=false turns it off
+  // for a local Redis (see dev/run-cron.js).
+  tls:
+    process.env.REDIS_TLS === "false"
+      ? undefined
+      : { rejectUnauthorized: false },
+});
+
+// --- MAIN WORKER LOGIC ---
+async function runTrendingSweep() {
+  console.log("TRENDING SWEEP: Decaying trending scores...");
+  const { factor, removed, remaining } = await decayTrendingScores(redis);
+  console.log(
+    `TRENDING SWEEP: Sweep complete. Factor: ${factor.toFixed(
+      4
+    )}, Removed: ${removed}, Remaining: ${remaining}.`
+  );
+}
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+export default async function handler(req, res) {
+  const acquired = await redis.set(
+    WORKER_LOCK_KEY,
+    "1",
+    "EX",
+    WORKER_LOCK_TTL_SECONDS,
+    "NX"
+  );
+  if (!acquired) {
+    return res.status(200).send("Trending sweep already running.");
+  }
+
+  try {
+    await runTrendingSweep();
+    res.status(200).send("Trending sweep completed successfully.");
+  } catch (error) {
+    console.error(
+      "TRENDING SWEEP: A fatal error occurred during the scheduled run:",
+      error.message
+    );
+    res.status(500).send("Trending sweep failed.");
+  } finally {
+    await redis.del(WORKER_LOCK_KEY);
+  }
+}
@@ -0,0 +1,119 @@
+// api/crons/video-probe.js
+import { PrismaClient } from "@prisma/client";
+import Redis from "ioredis";
+import dotenv from "dotenv";
+import { probeAnimalVideos } from "../utils/videoProbe.js";
+
+// --- CONFIGURATION ---
+dotenv.config();
+const BATCH_LIMIT = 25;
+const MAX_PROBES_PER_RUN = 200;
+const CONCURRENCY = 5;
+// Links rot; re-check every animal once a week, failures included, since a
+// shelter may fix a broken upload.
+const REPROBE_AFTER_DAYS = 7;
+const WORKER_LOCK_KEY = "worker:video_probe_lock";
+const WORKER_LOCK_TTL_SECONDS = 600;
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL, {
+  // Add explicit TLS for Vercel compatibility. REDIS_TLS=false turns it off
+  // for a local Redis (see dev/run-cron.js).
+  tls:
+    process.env.REDIS_TLS === "false"
+      ? undefined
+      : { rejectUnauthorized: false },
+});
+
+// --- HELPER FUNCTIONS ---
+const probeBatch = async (animals, stats) => {
+  const queue = [...animals];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const animal = queue.shift();
+      try {
+        const result = await probeAnimalVideos(animal);
+        await prisma.animalWithVideo.update({
+          where: { id: animal.id },
+          data: result,
+        });
+        stats[result.videoProbeStatus]++;
+        if (result.videoProbeStatus === "failed") {
+          console.log(
+            `VIDEO PROBE: Animal ${animal.id} has no playable video. ${result.videoProbeError}`
+          );
+        }
+      } catch (error) {
+        stats.errors++;
+        console.error(
+          `VIDEO PROBE: Failed to probe animal ${animal.id}: ${error.message}`
+        );
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+};
+
+// --- MAIN WORKER LOGIC ---
+async function runVideoProbe() {
+  console.log("VIDEO PROBE: Starting video probe run...");
+  const staleBefore = new Date(
+    Date.now() - REPROBE_AFTER_DAYS * 24 * 60 * 60 * 1000
+  );
+  const stats = { playable: 0, failed: 0, errors: 0 };
+  // Animals that errored keep their old probe time, so skip them for the
+  // rest of this run instead of picking them up again.
+  const attemptedIds = [];
+
+  while (attemptedIds.length < MAX_PROBES_PER_RUN) {
+    // New listings first, then the longest-unchecked.
+    const animals = await prisma.animalWithVideo.findMany({
+      where: {
+        id: { notIn: attemptedIds.length > 0 ? attemptedIds : undefined },
+        OR: [
+          { videoProbeStatus: "pending" },
+          { videoProbedAt: { lt: staleBefore } },
+        ],
+      },
+      orderBy: [{ videoProbedAt: { sort: "asc", nulls: "first" } }],
+      take: Math.min(BATCH_LIMIT, MAX_PROBES_PER_RUN - attemptedIds.length),
+      select: { id: true, videos: true },
+    });
+    if (animals.length === 0) break;
+
+    attemptedIds.push(...animals.map((a) => a.id));
+    await probeBatch(animals, stats);
+  }
+
+  console.log(
+    `VIDEO PROBE: Run complete. Playable: ${stats.playable}, Failed: ${stats.failed}, Errors: ${stats.errors}.`
+  );
+}
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+export default async function handler(req, res) {
+  const acquired = await redis.set(
+    WORKER_LOCK_KEY,
+    "1",
+    "EX",
+    WORKER_LOCK_TTL_SECONDS,
+    "NX"
+  );
+  if (!acquired) {
+    return res.status(200).send("Video probe already running.");
+  }
+
+  try {
+    await runVideoProbe();
+    res.status(200).send("Video probe completed successfully.");
+  } catch (error) {
+    console.error(
+      "VIDEO PROBE: A fatal error occurred during the scheduled run:",
+      error.message
+    );
+    res.status(500).send("Video probe failed.");
+  } finally {
+    await redis.del(WORKER_LOCK_KEY);
+  }
+}
@@ -2,6 +2,18 @@ import { PrismaClient } from "@prisma/client";
 import Redis from "ioredis";
 import pino from "pino";
 import { randomUUID } from "crypto";
+import {
+  buildAnimalWhere,
+  parseAnimalFilters,
+} from "./utils/animalFilters.js";
+import { getAuthenticatedUser } from "./utils/auth.js";
+import { VISIBLE_ANIMAL_WHERE } from "./utils/moderation.js";
+import { withPendingLikes } from "./utils/likeCounter.js";
+import {
+  getSeenAnimalIds,
+  markAnimalsSeen,
+  SEEN_FEEDS,
+} from "./utils/seenHistory.js";
 
 // --- INITIALIZATION ---
 // Best practice: instantiate clients outside the handler for connection reuse
@@ -23,18 +35,7 @@ async function markAnimalsAsSeen(userId, animalIds) {
   if (!userId || !animalIds || animalIds.length === 0) return;
 
   try {
-    const user = await prisma.user.findUnique({ where: { uuid: userId } });
-    if (!user) return;
-
-    const dataToInsert = animalIds.map((animalId) => ({
-      userId: user.id,
-      animalId: animalId,
-    }));
-
-    await prisma.seenAnimal.createMany({
-      data: dataToInsert,
-      skipDuplicates: true,
-    });
+    await markAnimalsSeen(userId, SEEN_FEEDS.DISCOVERY, animalIds);
     logger.info(
       `Marked ${animalIds.length} animals as seen for user ${userId}`
     );
@@ -62,18 +63,26 @@ export default async function handler(req, res) {
   const { filters, sessionId, page = 1, userId } = req.body;
 
   try {
+    const user = await getAuthenticatedUser(req, { legacyUserId: userId });
+    if (!user) {
+      return res.status(401).json({ message: "Authentication required." });
+    }
+
     // --- SCENARIO 1: PAGINATING AN EXISTING SESSION ---
     if (sessionId) {
       const sessionKey = `discovery-session:${sessionId}`;
-      const animalIdsJson = await redis.get(sessionKey);
+      const sessionJson = await redis.get(sessionKey);
+      const session = sessionJson ? JSON.parse(sessionJson) : null;
 
-      if (!animalIdsJson) {
+      // Sessions belong to the user that created them. Someone else's
+      // sessionId looks exactly like an expired one.
+      if (!session || session.userId !== user.id) {
         return res
           .status(404)
           .json({ message: "Session expired or not found." });
       }
 
-      const animalIds = JSON.parse(animalIdsJson);
+      const { animalIds } = session;
       const totalPages = Math.ceil(animalIds.length / PAGE_SIZE);
       const pageIds = animalIds.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
 
@@ -85,44 +94,33 @@ export default async function handler(req, res) {
       }
 
       const animalsData = await prisma.animalWithVideo.findMany({
-        where: { id: { in: pageIds } },
+        where: { id: { in: pageIds }, ...VISIBLE_ANIMAL_WHERE },
         include: { organization: true },
       });
 
       // Mark animals as seen in the background (no need to 'await')
-      markAnimalsAsSeen(userId, pageIds);
+      markAnimalsAsSeen(user.id, pageIds);
 
       return res.status(200).json({
-        animals: animalsData,
+        animals: await withPendingLikes(redis, animalsData),
         pagination: { currentPage: page, totalPages, sessionId },
       });
     }
 
     // --- SCENARIO 2: CREATING A NEW DISCOVERY SESSION ---
-    if (!filters || !userId) {
+    if (!filters) {
       return res.status(400).json({
-        message: "Filters and userId are required to create a new session.",
+        message: "Filters are required to create a new session.",
       });
     }
 
-    let user = await prisma.user.findUnique({ where: { uuid: userId } });
-    if (!user) {
-      user = await prisma.user.create({ data: { uuid: userId } });
-    }
-
-    const seenAnimals = await prisma.seenAnimal.findMany({
-      where: { userId: user.id },
-      select: { animalId: true },
-    });
-
-    const excludedIds = seenAnimals.map((a) => a.animalId);
+    const excludedIds = await getSeenAnimalIds(user.id, SEEN_FEEDS.DISCOVERY);
 
     const queryOptions = {
       where: {
         id: { notIn: excludedIds.length > 0 ? excludedIds : undefined },
-        type: filters.type,
-        age: filters.age,
-        gender: filters.gender,
+        ...buildAnimalWhere(parseAnimalFilters(filters)),
+        ...VISIBLE_ANIMAL_WHERE,
       },
       select: { id: true },
     };
@@ -144,7 +142,7 @@ export default async function handler(req, res) {
     const newSessionId = randomUUID();
     await redis.set(
       `discovery-session:${newSessionId}`,
-      JSON.stringify(allEligibleIds),
+      JSON.stringify({ userId: user.id, animalIds: allEligibleIds }),
       "EX",
       3600 // 1 hour expiry
     );
@@ -160,14 +158,14 @@ export default async function handler(req, res) {
     }
 
     const animalsData = await prisma.animalWithVideo.findMany({
-      where: { id: { in: firstPageIds } },
+      where: { id: { in: firstPageIds }, ...VISIBLE_ANIMAL_WHERE },
       include: { organization: true },
     });
 
-    markAnimalsAsSeen(userId, firstPageIds);
+    markAnimalsAsSeen(user.id, firstPageIds);
 
     res.status(200).json({
-      animals: animalsData,
+      animals: await withPendingLikes(redis, animalsData),
       pagination: { currentPage: 1, totalPages, sessionId: newSessionId },
     });
   } catch (error) {
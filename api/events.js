@@ -0,0 +1,98 @@
+import Redis from "ioredis";
+import pino from "pino";
+import { getAuthenticatedUser } from "./utils/auth.js";
+import {
+  ENGAGEMENT_BUFFER_KEY,
+  MAX_BUFFERED_EVENTS,
+  MAX_EVENTS_PER_BATCH,
+  validateEngagementEvent,
+} from "./utils/engagementEvents.js";
+import { rateLimit } from "./utils/rateLimit.js";
+import {
+  bumpTrendingScores,
+  filterCreditedEvents,
+  scoreEngagementEvents,
+} from "./utils/trending.js";
+
+// --- INITIALIZATION ---
+const redis = new Redis(process.env.REDIS_URL, {
+  tls: {
+    rejectUnauthorized: false,
+  },
+});
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+// Takes a batch of engagement events: { events: [{ type, animalId,
+// occurredAt?, durationSeconds? }] } (see api/utils/engagementEvents.js).
+// Valid events count towards trending scores and are buffered for the
+// engagement-rollup cron; invalid ones are reported back by index and
+// dropped, so one bad event doesn't cost the client the whole batch.
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { userId, events } = req.body || {};
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    events.length > MAX_EVENTS_PER_BATCH
+  ) {
+    return res.status(400).json({
+      message: `events must be a list of 1 to ${MAX_EVENTS_PER_BATCH} events.`,
+    });
+  }
+
+  try {
+    const user = await getAuthenticatedUser(req, { legacyUserId: userId });
+    if (!user) {
+      return res.status(401).json({ message: "Authentication required." });
+    }
+    if (!(await rateLimit(redis, req, res, "events", { userId: user.id }))) {
+      return;
+    }
+
+    const accepted = [];
+    const rejected = [];
+    const now = Date.now();
+    events.forEach((event, index) => {
+      const result = validateEngagementEvent(event, now);
+      if (result.error) rejected.push({ index, message: result.error });
+      else accepted.push({ ...result.event, userId: user.id });
+    });
+
+    if (accepted.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "No valid events in the batch.", rejected });
+    }
+
+    if ((await redis.llen(ENGAGEMENT_BUFFER_KEY)) >= MAX_BUFFERED_EVENTS) {
+      logger.warn("Engagement event buffer is full");
+      res.setHeader("Retry-After", "60");
+      return res
+        .status(503)
+        .json({ message: "Events can't be recorded right now." });
+    }
+    await redis.rpush(
+      ENGAGEMENT_BUFFER_KEY,
+      ...accepted.map((event) => JSON.stringify(event))
+    );
+    // Every event is kept for the rollup, but only the first of each kind
+    // per user and animal counts towards trending.
+    const credited = await filterCreditedEvents(redis, user.id, accepted);
+    await bumpTrendingScores(redis, scoreEngagementEvents(credited));
+    res.status(202).json({ accepted: accepted.length, rejected });
+  } catch (error) {
+    logger.error({ err: error }, "Error buffering engagement events");
+    res.status(500).json({ message: "Could not record events." });
+  }
+}
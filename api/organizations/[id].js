@@ -0,0 +1,105 @@
+import { PrismaClient } from "@prisma/client";
+import Redis from "ioredis";
+import pino from "pino";
+import querystring from "querystring";
+import { withPendingLikes } from "../utils/likeCounter.js";
+
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL, {
+  tls: {
+    rejectUnauthorized: false,
+  },
+});
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+const MAX_LIMIT = 50;
+const ADOPTABLE_ANIMAL_WHERE = {
+  status: "adoptable",
+  archivedAt: null,
+  hiddenAt: null,
+};
+
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { id, page = "1", limit = "20" } = req.query;
+  if (!id) {
+    return res.status(400).json({ message: "Invalid organization ID." });
+  }
+  const numericPage = Math.max(parseInt(page) || 1, 1);
+  const numericLimit = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT);
+
+  // Every page of an organization is cached in one hash, so moderation can
+  // drop them all with the one key.
+  const cacheKey = `organization-pages:${id}`;
+  const cacheField = querystring.stringify({
+    page: numericPage,
+    limit: numericLimit,
+  });
+  try {
+    const cachedOrganization = await redis.hget(cacheKey, cacheField);
+    if (cachedOrganization) {
+      res.setHeader("X-Cache", "HIT");
+      const data = JSON.parse(cachedOrganization);
+      return res.status(200).json({
+        ...data,
+        animals: await withPendingLikes(redis, data.animals),
+      });
+    }
+    res.setHeader("X-Cache", "MISS");
+
+    const organization = await prisma.organization.findUnique({
+      where: { id },
+      include: {
+        animals: {
+          where: ADOPTABLE_ANIMAL_WHERE,
+          orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+          skip: (numericPage - 1) * numericLimit,
+          take: numericLimit,
+        },
+      },
+    });
+
+    if (!organization || organization.blockedAt) {
+      return res.status(404).json({ message: "Organization not found." });
+    }
+
+    // Animals are paged; the count covers them all.
+    const videoAnimalCount = await prisma.animalWithVideo.count({
+      where: { organizationId: id, ...ADOPTABLE_ANIMAL_WHERE },
+    });
+    const responseData = {
+      ...organization,
+      videoAnimalCount,
+      pagination: {
+        current_page: numericPage,
+        total_pages: Math.ceil(videoAnimalCount / numericLimit),
+        total_count: videoAnimalCount,
+      },
+    };
+
+    await redis
+      .multi()
+      .hset(cacheKey, cacheField, JSON.stringify(responseData))
+      .expire(cacheKey, 1800)
+      .exec();
+    res.status(200).json({
+      ...responseData,
+      animals: await withPendingLikes(redis, organization.animals),
+    });
+  } catch (error) {
+    logger.error(
+      { err: error, organizationId: id },
+      "Error fetching organization"
+    );
+    res.status(500).json({ message: "An error occurred." });
+  }
+}
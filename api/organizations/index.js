@@ -0,0 +1,121 @@
+import { PrismaClient, Prisma } from "@prisma/client";
+import Redis from "ioredis";
+import querystring from "querystring";
+import pino from "pino";
+import { getUserCoordinates } from "../utils/geocode.js";
+import {
+  getClientIds,
+  RateLimitError,
+  sendRateLimited,
+} from "../utils/rateLimit.js";
+import { distanceKmSql, milesToKm, withinRadiusSql } from "../utils/geo.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL);
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+const MAX_LIMIT = 50;
+
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { location, distance = "100", page = "1", limit = "20" } = req.query;
+
+  const numericPage = Math.max(parseInt(page) || 1, 1);
+  const numericLimit = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT);
+  const cacheKey = `db-organizations:${querystring.stringify({
+    location,
+    distance,
+    page: numericPage,
+    limit: numericLimit,
+  })}`;
+
+  try {
+    const cachedData = await redis.get(cacheKey);
+    if (cachedData) {
+      res.setHeader("X-Cache", "HIT");
+      return res.status(200).json(JSON.parse(cachedData));
+    }
+    res.setHeader("X-Cache", "MISS");
+
+    let distanceSelect = Prisma.sql`NULL::float`;
+    let radiusFilter = Prisma.empty;
+
+    if (location) {
+      const coords = await getUserCoordinates(location, {
+        clientIds: getClientIds(req),
+      });
+      if (!coords) {
+        return res
+          .status(400)
+          .json({ message: "Could not find that location." });
+      }
+      distanceSelect = Prisma.sql`MIN(${distanceKmSql(coords, "a")}) / ${milesToKm(1)}`;
+      radiusFilter = Prisma.sql`AND ${withinRadiusSql(
+        coords,
+        milesToKm(distance),
+        "a"
+      )}`;
+    }
+
+    // Shelters have no coordinates of their own, so an organization is
+    // "nearby" when any of its adoptable video animals are within range.
+    const matchingAnimals = Prisma.sql`
+      FROM "Organization" o
+      JOIN "AnimalWithVideo" a ON a."organizationId" = o.id
+      WHERE a.status = 'adoptable'
+      AND a."archivedAt" IS NULL
+      AND a."hiddenAt" IS NULL
+      AND o."blockedAt" IS NULL
+      ${radiusFilter}
+    `;
+    const [organizations, [{ totalCount }]] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT o.id, o.name, o.email, o.phone, o.address, o.url,
+               COUNT(a.id)::int AS "videoAnimalCount",
+               ${distanceSelect} AS "distanceMiles"
+        ${matchingAnimals}
+        GROUP BY o.id
+        ORDER BY "videoAnimalCount" DESC, o.name ASC
+        LIMIT ${numericLimit} OFFSET ${(numericPage - 1) * numericLimit}
+      `,
+      // Counted separately so a page past the end still reports the total
+      prisma.$queryRaw`
+        SELECT COUNT(DISTINCT o.id)::int AS "totalCount" ${matchingAnimals}
+      `,
+    ]);
+
+    const responseData = {
+      organizations,
+      pagination: {
+        current_page: numericPage,
+        total_pages: Math.ceil(totalCount / numericLimit),
+        total_count: totalCount,
+      },
+    };
+
+    // Cache the database response for 30 minutes
+    await redis.set(cacheKey, JSON.stringify(responseData), "EX", 1800);
+
+    res.status(200).json(responseData);
+  } catch (error) {
+    if (error instanceof RateLimitError) return sendRateLimited(res, error);
+    logger.error(
+      { err: error, query: req.query },
+      "Error in /api/organizations"
+    );
+    res
+      .status(500)
+      .json({ message: "An error occurred while fetching organizations." });
+  }
+}
@@ -0,0 +1,167 @@
+import { PrismaClient, Prisma } from "@prisma/client";
+import Redis from "ioredis";
+import querystring from "querystring";
+import pino from "pino";
+import { getUserCoordinates } from "./utils/geocode.js";
+import {
+  getClientIds,
+  RateLimitError,
+  sendRateLimited,
+} from "./utils/rateLimit.js";
+import { milesToKm, withinRadiusSql } from "./utils/geo.js";
+import { visibleAnimalSql } from "./utils/moderation.js";
+import { withPendingLikes } from "./utils/likeCounter.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL);
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+const MAX_QUERY_LENGTH = 200;
+const MAX_LIMIT = 50;
+const HEADLINE_OPTIONS =
+  "StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5";
+
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const {
+    q,
+    type,
+    location,
+    distance = "100",
+    page = "1",
+    limit = "20",
+  } = req.query;
+
+  const searchText = typeof q === "string" ? q.trim() : "";
+  if (!searchText || searchText.length > MAX_QUERY_LENGTH) {
+    return res.status(400).json({
+      message: `A search query of up to ${MAX_QUERY_LENGTH} characters is required.`,
+    });
+  }
+
+  const numericPage = Math.max(parseInt(page) || 1, 1);
+  const numericLimit = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT);
+  const cacheKey = `db-search:${querystring.stringify({
+    q: searchText.toLowerCase(),
+    type,
+    location,
+    distance,
+    page: numericPage,
+    limit: numericLimit,
+  })}`;
+
+  try {
+    const cachedData = await redis.get(cacheKey);
+    if (cachedData) {
+      res.setHeader("X-Cache", "HIT");
+      const data = JSON.parse(cachedData);
+      return res.status(200).json({
+        ...data,
+        animals: await withPendingLikes(redis, data.animals),
+      });
+    }
+    res.setHeader("X-Cache", "MISS");
+
+    let radiusFilter = Prisma.empty;
+    if (location) {
+      const coords = await getUserCoordinates(location, {
+        clientIds: getClientIds(req),
+      });
+      if (coords) {
+        radiusFilter = Prisma.sql`AND ${withinRadiusSql(
+          coords,
+          milesToKm(distance),
+          "a"
+        )}`;
+      }
+    }
+
+    // Rank and paginate first, then build highlights for the page only:
+    // ts_headline is far too expensive to run over every match.
+    const rows = await prisma.$queryRaw`
+      WITH query AS (SELECT websearch_to_tsquery('english', ${searchText}) AS q),
+      ranked AS (
+        SELECT a.id, ts_rank_cd(a."searchVector", query.q) AS rank,
+               COUNT(*) OVER ()::int AS "totalCount"
+        FROM "AnimalWithVideo" a, query
+        WHERE a."searchVector" @@ query.q
+          AND a.status = 'adoptable'
+          ${visibleAnimalSql("a")}
+          ${type ? Prisma.sql`AND a.type = ${type}` : Prisma.empty}
+          ${radiusFilter}
+        ORDER BY rank DESC, a.id DESC
+        LIMIT ${numericLimit} OFFSET ${(numericPage - 1) * numericLimit}
+      )
+      SELECT ranked.id, ranked.rank, ranked."totalCount",
+        CASE WHEN to_tsvector('english', a.name) @@ query.q
+          THEN ts_headline('english', a.name, query.q, ${HEADLINE_OPTIONS}) END AS name,
+        CASE WHEN to_tsvector('english', animal_breed_text(a.breeds)) @@ query.q
+          THEN ts_headline('english', animal_breed_text(a.breeds), query.q, ${HEADLINE_OPTIONS}) END AS breeds,
+        CASE WHEN to_tsvector('english', animal_color_text(a.colors)) @@ query.q
+          THEN ts_headline('english', animal_color_text(a.colors), query.q, ${HEADLINE_OPTIONS}) END AS colors,
+        CASE WHEN to_tsvector('english', animal_attribute_text(a.attributes)) @@ query.q
+          THEN ts_headline('english', animal_attribute_text(a.attributes), query.q, ${HEADLINE_OPTIONS}) END AS attributes,
+        CASE WHEN to_tsvector('english', coalesce(a.description, '')) @@ query.q
+          THEN ts_headline('english', a.description, query.q, ${HEADLINE_OPTIONS}) END AS description
+      FROM ranked
+      JOIN "AnimalWithVideo" a ON a.id = ranked.id, query
+      ORDER BY ranked.rank DESC, ranked.id DESC
+    `;
+
+    const totalCount = rows[0]?.totalCount ?? 0;
+    const animalsData = await prisma.animalWithVideo.findMany({
+      where: { id: { in: rows.map((r) => r.id) } },
+      include: { organization: true },
+    });
+
+    const animals = rows
+      .map((row) => {
+        const animal = animalsData.find((a) => a.id === row.id);
+        if (!animal) return null;
+        const highlights = {};
+        for (const field of [
+          "name",
+          "breeds",
+          "colors",
+          "attributes",
+          "description",
+        ]) {
+          if (row[field]) highlights[field] = row[field];
+        }
+        return { ...animal, search: { rank: row.rank, highlights } };
+      })
+      .filter(Boolean);
+
+    const responseData = {
+      animals,
+      pagination: {
+        current_page: numericPage,
+        total_pages: Math.ceil(totalCount / numericLimit),
+        total_count: totalCount,
+      },
+    };
+
+    // Cache the database response for 10 minutes
+    await redis.set(cacheKey, JSON.stringify(responseData), "EX", 600);
+
+    res.status(200).json({
+      ...responseData,
+      animals: await withPendingLikes(redis, animals),
+    });
+  } catch (error) {
+    if (error instanceof RateLimitError) return sendRateLimited(res, error);
+    logger.error({ err: error, query: req.query }, "Error in /api/search");
+    res.status(500).json({ message: "An error occurred while searching." });
+  }
+}
@@ -1,9 +1,9 @@
 // api/seen.js
-import { PrismaClient } from "@prisma/client";
 import pino from "pino";
+import { getAuthenticatedUser } from "./utils/auth.js";
+import { markAnimalsSeen, SEEN_FEEDS } from "./utils/seenHistory.js";
 
 // --- INITIALIZATION ---
-const prisma = new PrismaClient();
 const logger = pino({
   transport:
     process.env.NODE_ENV !== "production"
@@ -17,43 +17,33 @@ export default async function handler(req, res) {
     return res.status(405).json({ message: "Method Not Allowed" });
   }
 
-  // Expect a userId (as UUID string) and an array of animalIds
+  // Expect an array of animalIds; userId (as UUID string) is only read from
+  // older app builds that don't send a token yet
   const { userId, animalIds } = req.body;
 
   // Validate the incoming data
-  if (!userId || !Array.isArray(animalIds) || animalIds.length === 0) {
+  if (
+    !Array.isArray(animalIds) ||
+    animalIds.length === 0 ||
+    !animalIds.every(Number.isInteger)
+  ) {
     return res.status(400).json({
-      message: "userId and a non-empty animalIds array are required.",
+      message: "A non-empty array of integer animalIds is required.",
     });
   }
 
   try {
-    // Find or create the user based on their UUID
-    let user = await prisma.user.findUnique({
-      where: { uuid: userId },
-    });
-
+    const user = await getAuthenticatedUser(req, { legacyUserId: userId });
     if (!user) {
-      user = await prisma.user.create({
-        data: { uuid: userId },
-      });
+      return res.status(401).json({ message: "Authentication required." });
     }
 
-    // Prepare the data for a bulk insert into the seenVideo table
-    const dataToInsert = animalIds.map((animalId) => ({
-      userId: user.id, // Use the integer ID from the database user record
-      animalId: animalId,
-    }));
-
-    // Use `createMany` to insert all records in a single, efficient database call.
-    // `skipDuplicates` will silently ignore any records that already exist.
-    const { count } = await prisma.seenVideo.createMany({
-      data: dataToInsert,
-      skipDuplicates: true,
-    });
+    // One upsert for the whole batch; videos watched again start their
+    // seen window over.
+    const count = await markAnimalsSeen(user.id, SEEN_FEEDS.VIDEOS, animalIds);
 
     console.log(
-      `Successfully saved ${count} new seen video records for user ${user.id}.`
+      `Successfully saved ${count} seen video records for user ${user.id}.`
     );
     res.status(200).json({ success: true, count });
   } catch (error) {
@@ -0,0 +1,67 @@
+import { PrismaClient } from "@prisma/client";
+import pino from "pino";
+import { getAuthenticatedUser } from "../../utils/auth.js";
+import { PUSH_PROVIDERS } from "../../utils/pushTransport.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+export default async function handler(req, res) {
+  if (!["POST", "DELETE"].includes(req.method)) {
+    res.setHeader("Allow", ["POST", "DELETE"]);
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { uuid } = req.query;
+  const { token, provider = "expo", platform } = req.body;
+
+  if (!token || typeof token !== "string") {
+    return res.status(400).json({ message: "A device token is required." });
+  }
+
+  try {
+    const user = await getAuthenticatedUser(req, { legacyUserId: uuid });
+    if (!user || user.uuid !== uuid) {
+      return res.status(403).json({ message: "Forbidden." });
+    }
+
+    if (req.method === "DELETE") {
+      await prisma.deviceToken.deleteMany({
+        where: { token, userId: user.id },
+      });
+      return res.status(204).end();
+    }
+
+    // Tokens the configured transport can't reach yet are still stored;
+    // the notifications cron skips them until one can.
+    if (!PUSH_PROVIDERS.includes(provider)) {
+      return res.status(400).json({ message: "Invalid push provider." });
+    }
+
+    // A token belongs to one device, so re-registering moves it to this user.
+    const device = await prisma.deviceToken.upsert({
+      where: { token },
+      update: { userId: user.id, provider, platform, lastSeenAt: new Date() },
+      create: { userId: user.id, token, provider, platform },
+    });
+
+    res.status(200).json({
+      id: device.id,
+      provider: device.provider,
+      platform: device.platform,
+    });
+  } catch (error) {
+    logger.error(
+      { err: error, uuid, method: req.method },
+      "Error registering device token"
+    );
+    res.status(500).json({ message: "Could not update device token." });
+  }
+}
@@ -0,0 +1,71 @@
+import { PrismaClient } from "@prisma/client";
+import Redis from "ioredis";
+import pino from "pino";
+import { getAuthenticatedUser } from "../../utils/auth.js";
+import { withPendingLikes } from "../../utils/likeCounter.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL);
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+const MAX_LIMIT = 50;
+
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { uuid, page = "1", limit = "20" } = req.query;
+
+  const numericPage = parseInt(page);
+  const numericLimit = Math.min(parseInt(limit), MAX_LIMIT);
+  if (
+    isNaN(numericPage) ||
+    numericPage < 1 ||
+    isNaN(numericLimit) ||
+    numericLimit < 1
+  ) {
+    return res.status(400).json({ message: "Invalid pagination parameters." });
+  }
+
+  try {
+    const user = await getAuthenticatedUser(req, { legacyUserId: uuid });
+    if (!user || user.uuid !== uuid) {
+      return res.status(403).json({ message: "Forbidden." });
+    }
+
+    const [totalCount, favorites] = await Promise.all([
+      prisma.favorite.count({ where: { userId: user.id } }),
+      prisma.favorite.findMany({
+        where: { userId: user.id },
+        orderBy: { createdAt: "desc" },
+        take: numericLimit,
+        skip: (numericPage - 1) * numericLimit,
+        include: { animal: { include: { organization: true } } },
+      }),
+    ]);
+
+    res.status(200).json({
+      animals: await withPendingLikes(
+        redis,
+        favorites.map((f) => ({ ...f.animal, favoritedAt: f.createdAt }))
+      ),
+      pagination: {
+        current_page: numericPage,
+        total_pages: Math.ceil(totalCount / numericLimit),
+        total_count: totalCount,
+      },
+    });
+  } catch (error) {
+    logger.error({ err: error, uuid }, "Error fetching favorites");
+    res.status(500).json({ message: "Could not fetch favorites." });
+  }
+}
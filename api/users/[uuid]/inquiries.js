@@ -0,0 +1,56 @@
+import { PrismaClient } from "@prisma/client";
+import pino from "pino";
+import { getAuthenticatedUser } from "../../utils/auth.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { uuid, status } = req.query;
+
+  try {
+    const user = await getAuthenticatedUser(req, { legacyUserId: uuid });
+    if (!user || user.uuid !== uuid) {
+      return res.status(403).json({ message: "Forbidden." });
+    }
+
+    const inquiries = await prisma.inquiry.findMany({
+      where: { userId: user.id, status: status || undefined },
+      orderBy: { createdAt: "desc" },
+      take: 100,
+      select: {
+        id: true,
+        status: true,
+        message: true,
+        createdAt: true,
+        sentAt: true,
+        animal: {
+          select: {
+            id: true,
+            name: true,
+            type: true,
+            photos: true,
+            url: true,
+            organization: { select: { id: true, name: true } },
+          },
+        },
+      },
+    });
+
+    res.status(200).json({ inquiries });
+  } catch (error) {
+    logger.error({ err: error, uuid }, "Error fetching inquiries");
+    res.status(500).json({ message: "Could not fetch inquiries." });
+  }
+}
@@ -0,0 +1,128 @@
+import { PrismaClient } from "@prisma/client";
+import pino from "pino";
+import { getAuthenticatedUser } from "../../utils/auth.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+const MAX_LIMIT = 50;
+const MAX_IDS = 100;
+
+// --- HELPER FUNCTIONS ---
+const countUnread = (userId) =>
+  prisma.notification.count({ where: { userId, readAt: null } });
+
+const parseIds = (ids) => {
+  if (ids === undefined) return { ids: null };
+  if (
+    !Array.isArray(ids) ||
+    ids.length === 0 ||
+    ids.length > MAX_IDS ||
+    !ids.every(Number.isInteger)
+  ) {
+    return { error: `ids must be a list of up to ${MAX_IDS} ids.` };
+  }
+  return { ids };
+};
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+// GET lists the user's inbox, newest first (`unread=1` for unread only).
+// PATCH marks notifications read or unread: { ids?, read = true }, where
+// leaving out `ids` marks the whole inbox.
+export default async function handler(req, res) {
+  if (!["GET", "PATCH"].includes(req.method)) {
+    res.setHeader("Allow", ["GET", "PATCH"]);
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { uuid, page = "1", limit = "20", unread } = req.query;
+
+  try {
+    const user = await getAuthenticatedUser(req, { legacyUserId: uuid });
+    if (!user || user.uuid !== uuid) {
+      return res.status(403).json({ message: "Forbidden." });
+    }
+
+    if (req.method === "PATCH") {
+      const { read = true } = req.body || {};
+      const parsed = parseIds(req.body?.ids);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      if (typeof read !== "boolean") {
+        return res.status(400).json({ message: "read must be a boolean." });
+      }
+
+      const where = { userId: user.id };
+      if (parsed.ids) where.id = { in: parsed.ids };
+      // Only rows whose state changes, so re-reading keeps the first readAt.
+      where.readAt = read ? null : { not: null };
+      const { count } = await prisma.notification.updateMany({
+        where,
+        data: { readAt: read ? new Date() : null },
+      });
+
+      return res.status(200).json({
+        updated: count,
+        unreadCount: await countUnread(user.id),
+      });
+    }
+
+    const numericPage = parseInt(page);
+    const numericLimit = Math.min(parseInt(limit), MAX_LIMIT);
+    if (
+      isNaN(numericPage) ||
+      numericPage < 1 ||
+      isNaN(numericLimit) ||
+      numericLimit < 1
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Invalid pagination parameters." });
+    }
+
+    const where = { userId: user.id };
+    if (unread === "1" || unread === "true") where.readAt = null;
+
+    const [totalCount, unreadCount, notifications] = await Promise.all([
+      prisma.notification.count({ where }),
+      countUnread(user.id),
+      prisma.notification.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        take: numericLimit,
+        skip: (numericPage - 1) * numericLimit,
+        select: {
+          id: true,
+          type: true,
+          title: true,
+          body: true,
+          data: true,
+          readAt: true,
+          createdAt: true,
+        },
+      }),
+    ]);
+
+    res.status(200).json({
+      notifications,
+      unreadCount,
+      pagination: {
+        current_page: numericPage,
+        total_pages: Math.ceil(totalCount / numericLimit),
+        total_count: totalCount,
+      },
+    });
+  } catch (error) {
+    logger.error(
+      { err: error, uuid, method: req.method },
+      "Error handling notification inbox"
+    );
+    res.status(500).json({ message: "An error occurred." });
+  }
+}
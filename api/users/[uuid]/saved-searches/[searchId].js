@@ -0,0 +1,128 @@
+import { PrismaClient } from "@prisma/client";
+import pino from "pino";
+import { getAuthenticatedUser } from "../../../utils/auth.js";
+import {
+  normalizeSavedSearch,
+  SAVED_SEARCH_FEEDS,
+} from "../../../utils/savedSearches.js";
+import {
+  getClientIds,
+  RateLimitError,
+  sendRateLimited,
+} from "../../../utils/rateLimit.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+const MATCHES_PAGE_SIZE = 20;
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+export default async function handler(req, res) {
+  if (!["GET", "PATCH", "DELETE"].includes(req.method)) {
+    res.setHeader("Allow", ["GET", "PATCH", "DELETE"]);
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { uuid, searchId, page = "1" } = req.query;
+  const savedSearchId = parseInt(searchId);
+  if (isNaN(savedSearchId)) {
+    return res.status(400).json({ message: "Invalid saved search ID." });
+  }
+
+  try {
+    const user = await getAuthenticatedUser(req, { legacyUserId: uuid });
+    if (!user || user.uuid !== uuid) {
+      return res.status(403).json({ message: "Forbidden." });
+    }
+
+    const savedSearch = await prisma.savedSearch.findFirst({
+      where: { id: savedSearchId, userId: user.id },
+    });
+    if (!savedSearch) {
+      return res.status(404).json({ message: "Saved search not found." });
+    }
+
+    if (req.method === "DELETE") {
+      await prisma.savedSearch.delete({ where: { id: savedSearchId } });
+      return res.status(204).end();
+    }
+
+    if (req.method === "PATCH") {
+      const { name, feed, filters } = req.body;
+      if (feed !== undefined && !SAVED_SEARCH_FEEDS.includes(feed)) {
+        return res.status(400).json({ message: "Invalid feed." });
+      }
+
+      const data = { name, feed };
+      if (filters !== undefined) {
+        try {
+          Object.assign(
+            data,
+            await normalizeSavedSearch(filters, {
+              clientIds: getClientIds(req, user.id),
+            })
+          );
+        } catch (geoError) {
+          if (geoError instanceof RateLimitError) {
+            return sendRateLimited(res, geoError);
+          }
+          return res.status(400).json({ message: geoError.message });
+        }
+      }
+
+      const updated = await prisma.savedSearch.update({
+        where: { id: savedSearchId },
+        data,
+      });
+      return res.status(200).json(updated);
+    }
+
+    // GET: return matches newest first and mark the search as viewed.
+    const numericPage = Math.max(parseInt(page) || 1, 1);
+    const [totalCount, newMatchCount, matches] = await Promise.all([
+      prisma.savedSearchMatch.count({ where: { savedSearchId } }),
+      prisma.savedSearchMatch.count({
+        where: { savedSearchId, createdAt: { gt: savedSearch.lastViewedAt } },
+      }),
+      prisma.savedSearchMatch.findMany({
+        where: { savedSearchId },
+        orderBy: { createdAt: "desc" },
+        take: MATCHES_PAGE_SIZE,
+        skip: (numericPage - 1) * MATCHES_PAGE_SIZE,
+        include: { animal: { include: { organization: true } } },
+      }),
+    ]);
+
+    if (numericPage === 1) {
+      await prisma.savedSearch.update({
+        where: { id: savedSearchId },
+        data: { lastViewedAt: new Date() },
+      });
+    }
+
+    res.status(200).json({
+      savedSearch: { ...savedSearch, newMatchCount },
+      animals: matches.map((m) => ({
+        ...m.animal,
+        matchedAt: m.createdAt,
+        isNew: m.createdAt > savedSearch.lastViewedAt,
+      })),
+      pagination: {
+        current_page: numericPage,
+        total_pages: Math.ceil(totalCount / MATCHES_PAGE_SIZE),
+        total_count: totalCount,
+      },
+    });
+  } catch (error) {
+    logger.error(
+      { err: error, uuid, searchId, method: req.method },
+      "Error in saved search"
+    );
+    res.status(500).json({ message: "Could not process saved search." });
+  }
+}
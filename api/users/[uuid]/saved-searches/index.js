@@ -0,0 +1,104 @@
+import { PrismaClient } from "@prisma/client";
+import pino from "pino";
+import { getAuthenticatedUser } from "../../../utils/auth.js";
+import {
+  normalizeSavedSearch,
+  SAVED_SEARCH_FEEDS,
+} from "../../../utils/savedSearches.js";
+import {
+  getClientIds,
+  RateLimitError,
+  sendRateLimited,
+} from "../../../utils/rateLimit.js";
+
+// --- INITIALIZATION ---
+const prisma = new PrismaClient();
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+const MAX_SAVED_SEARCHES = 20;
+
+// --- HELPER FUNCTIONS ---
+const withNewMatchCounts = (searches) =>
+  Promise.all(
+    searches.map(async (search) => ({
+      ...search,
+      newMatchCount: await prisma.savedSearchMatch.count({
+        where: {
+          savedSearchId: search.id,
+          createdAt: { gt: search.lastViewedAt },
+        },
+      }),
+    }))
+  );
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+export default async function handler(req, res) {
+  if (!["GET", "POST"].includes(req.method)) {
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { uuid } = req.query;
+
+  try {
+    const user = await getAuthenticatedUser(req, { legacyUserId: uuid });
+    if (!user || user.uuid !== uuid) {
+      return res.status(403).json({ message: "Forbidden." });
+    }
+
+    if (req.method === "GET") {
+      const searches = await prisma.savedSearch.findMany({
+        where: { userId: user.id },
+        orderBy: { createdAt: "desc" },
+      });
+      return res
+        .status(200)
+        .json({ savedSearches: await withNewMatchCounts(searches) });
+    }
+
+    const { name, feed = "animals", filters } = req.body;
+    if (!filters || typeof filters !== "object") {
+      return res.status(400).json({ message: "Filters are required." });
+    }
+    if (!SAVED_SEARCH_FEEDS.includes(feed)) {
+      return res.status(400).json({ message: "Invalid feed." });
+    }
+
+    const existingCount = await prisma.savedSearch.count({
+      where: { userId: user.id },
+    });
+    if (existingCount >= MAX_SAVED_SEARCHES) {
+      return res.status(409).json({
+        message: `You can save up to ${MAX_SAVED_SEARCHES} searches.`,
+      });
+    }
+
+    let normalized;
+    try {
+      normalized = await normalizeSavedSearch(filters, {
+        clientIds: getClientIds(req, user.id),
+      });
+    } catch (geoError) {
+      if (geoError instanceof RateLimitError) {
+        return sendRateLimited(res, geoError);
+      }
+      return res.status(400).json({ message: geoError.message });
+    }
+
+    const savedSearch = await prisma.savedSearch.create({
+      data: { userId: user.id, name, feed, ...normalized },
+    });
+
+    res.status(201).json({ ...savedSearch, newMatchCount: 0 });
+  } catch (error) {
+    logger.error(
+      { err: error, uuid, method: req.method },
+      "Error in saved searches"
+    );
+    res.status(500).json({ message: "Could not process saved searches." });
+  }
+}
@@ -0,0 +1,47 @@
+import pino from "pino";
+import { getAuthenticatedUser } from "../../utils/auth.js";
+import { resetSeenHistory, SEEN_FEEDS } from "../../utils/seenHistory.js";
+
+// --- INITIALIZATION ---
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+const SCOPES = {
+  videos: [SEEN_FEEDS.VIDEOS],
+  discovery: [SEEN_FEEDS.DISCOVERY],
+  both: [SEEN_FEEDS.VIDEOS, SEEN_FEEDS.DISCOVERY],
+};
+
+// --- VERCEL SERVERLESS FUNCTION HANDLER ---
+// DELETE ?scope=videos|discovery|both (default both) resets what the user
+// has seen, so those animals come back from the next new feed session on.
+export default async function handler(req, res) {
+  if (req.method !== "DELETE") {
+    res.setHeader("Allow", ["DELETE"]);
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { uuid, scope = "both" } = req.query;
+  if (!SCOPES[scope]) {
+    return res
+      .status(400)
+      .json({ message: "scope must be videos, discovery or both." });
+  }
+
+  try {
+    const user = await getAuthenticatedUser(req, { legacyUserId: uuid });
+    if (!user || user.uuid !== uuid) {
+      return res.status(403).json({ message: "Forbidden." });
+    }
+
+    const resetAt = await resetSeenHistory(user.id, SCOPES[scope]);
+    logger.info({ userId: user.id, scope }, "Seen history reset");
+    res.status(200).json({ scope, resetAt });
+  } catch (error) {
+    logger.error({ err: error, uuid, scope }, "Error resetting seen history");
+    res.status(500).json({ message: "Could not reset seen history." });
+  }
+}
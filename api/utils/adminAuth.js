@@ -0,0 +1,20 @@
+import { timingSafeEqual } from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * True when the request carries the admin key in the `x-admin-key` header.
+ * Always false if ADMIN_API_KEY isn't configured.
+ * @param {import("http").IncomingMessage} req
+ * @returns {boolean}
+ */
+export const isAdminRequest = (req) => {
+  const expected = process.env.ADMIN_API_KEY;
+  const provided = req.headers["x-admin-key"];
+  if (!expected || typeof provided !== "string") return false;
+
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+};
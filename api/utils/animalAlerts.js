@@ -0,0 +1,132 @@
+import { PrismaClient } from "@prisma/client";
+import dotenv from "dotenv";
+import { NOTIFICATION_TYPES, queueNotifications } from "./notifications.js";
+
+dotenv.config();
+
+export const ANIMAL_CHANGES = {
+  STATUS: "status",
+  MEDIA: "media",
+  REMOVED: "removed",
+};
+
+const prisma = new PrismaClient();
+
+const STATUS_MESSAGES = {
+  adopted: (name) => ({
+    title: `${name} has been adopted`,
+    body: `Good news: ${name} found a home.`,
+  }),
+  pending: (name) => ({
+    title: `${name}'s adoption is pending`,
+    body: `Someone has applied to adopt ${name}. The shelter can tell you more.`,
+  }),
+  adoptable: (name) => ({
+    title: `${name} is available again`,
+    body: `${name} is back up for adoption.`,
+  }),
+};
+
+// Media updates only land in the inbox; a push for every new photo would
+// be noise.
+const describeChange = ({ change, name, toStatus }) => {
+  if (change === ANIMAL_CHANGES.REMOVED) {
+    return {
+      type: NOTIFICATION_TYPES.FAVORITE_REMOVED,
+      title: `${name} is no longer listed`,
+      body: `The shelter has taken down ${name}'s listing.`,
+      push: true,
+    };
+  }
+  if (change === ANIMAL_CHANGES.MEDIA) {
+    return {
+      type: NOTIFICATION_TYPES.FAVORITE_MEDIA_UPDATE,
+      title: `New photos or videos of ${name}`,
+      body: `${name}'s listing has new photos or videos.`,
+      push: false,
+    };
+  }
+  const message = STATUS_MESSAGES[toStatus]?.(name) || {
+    title: `${name}'s status changed`,
+    body: `${name} is now listed as ${toStatus}.`,
+  };
+  return {
+    type: NOTIFICATION_TYPES.FAVORITE_STATUS_CHANGE,
+    ...message,
+    push: true,
+  };
+};
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * What changed for an animal's followers between its stored row and a
+ * refresh: status, photos/videos, or the listing disappearing.
+ * @param {object} existing The stored `AnimalWithVideo` row.
+ * @param {object | null} data The refresh update, or null once the source
+ * no longer lists the animal.
+ * @returns {Array<{ animalId: number, name: string, change: string, fromStatus?: string, toStatus?: string }>}
+ */
+export const detectAnimalChanges = (existing, data) => {
+  const base = { animalId: existing.id, name: data?.name || existing.name };
+  if (data === null) return [{ ...base, change: ANIMAL_CHANGES.REMOVED }];
+
+  const changes = [];
+  if (data.status !== existing.status) {
+    changes.push({
+      ...base,
+      change: ANIMAL_CHANGES.STATUS,
+      fromStatus: existing.status,
+      toStatus: data.status,
+    });
+  }
+  if (
+    !sameJson(data.photos, existing.photos) ||
+    !sameJson(data.videos, existing.videos)
+  ) {
+    changes.push({ ...base, change: ANIMAL_CHANGES.MEDIA });
+  }
+  return changes;
+};
+
+/**
+ * Queues a notification per change for every user who favorited or
+ * inquired about the animal (once per user, even if they did both).
+ * @param {ReturnType<typeof detectAnimalChanges>} changes
+ * @returns {Promise<number>} Notifications queued.
+ */
+export const notifyAnimalFollowers = async (changes) => {
+  if (changes.length === 0) return 0;
+
+  const animalIds = [...new Set(changes.map((c) => c.animalId))];
+  const [favorites, inquiries] = await Promise.all([
+    prisma.favorite.findMany({
+      where: { animalId: { in: animalIds } },
+      select: { userId: true, animalId: true },
+    }),
+    prisma.inquiry.findMany({
+      where: { animalId: { in: animalIds }, userId: { not: null } },
+      select: { userId: true, animalId: true },
+    }),
+  ]);
+  const followers = new Map();
+  for (const { userId, animalId } of [...favorites, ...inquiries]) {
+    if (!followers.has(animalId)) followers.set(animalId, new Set());
+    followers.get(animalId).add(userId);
+  }
+
+  const notifications = [];
+  for (const change of changes) {
+    const { push, ...message } = describeChange(change);
+    const { animalId, change: kind, fromStatus, toStatus } = change;
+    for (const userId of followers.get(animalId) || []) {
+      notifications.push({
+        userId,
+        ...message,
+        data: { animalId, change: kind, fromStatus, toStatus },
+        push,
+      });
+    }
+  }
+  return queueNotifications(notifications);
+};
@@ -0,0 +1,171 @@
+import { Prisma } from "@prisma/client";
+
+// Exact-match columns, keyed by the filter name clients send.
+const EXACT_FILTERS = {
+  type: "type",
+  age: "age",
+  gender: "gender",
+  size: "size",
+};
+
+// Case-insensitive substring matches against the promoted breed/color columns.
+const TEXT_FILTERS = {
+  breed: ["primaryBreed", "secondaryBreed"],
+  color: ["primaryColor", "secondaryColor"],
+};
+
+// Yes/no filters backed by promoted columns, which can also be null when the
+// shelter didn't say.
+const BOOLEAN_FILTERS = {
+  good_with_children: "goodWithChildren",
+  good_with_dogs: "goodWithDogs",
+  good_with_cats: "goodWithCats",
+  house_trained: "houseTrained",
+  special_needs: "specialNeeds",
+};
+
+const parseBoolean = (value) => {
+  if (value === true || value === "true" || value === "1") return true;
+  if (value === false || value === "false" || value === "0") return false;
+  return undefined;
+};
+
+/**
+ * Columns derived from Petfinder's nested JSON at ingest time so the
+ * compatibility filters can use plain indexed predicates.
+ * @param {object} animal A Petfinder-shaped animal payload (see sources/).
+ * @returns {object} Fields to spread into an `AnimalWithVideo` create/update.
+ */
+export const getPromotedFields = (animal) => ({
+  primaryBreed: animal.breeds?.primary ?? null,
+  secondaryBreed: animal.breeds?.secondary ?? null,
+  primaryColor: animal.colors?.primary ?? null,
+  secondaryColor: animal.colors?.secondary ?? null,
+  goodWithChildren: animal.environment?.children ?? null,
+  goodWithDogs: animal.environment?.dogs ?? null,
+  goodWithCats: animal.environment?.cats ?? null,
+  houseTrained: animal.attributes?.house_trained ?? null,
+  specialNeeds: animal.attributes?.special_needs ?? null,
+});
+
+/**
+ * Normalizes filters from a query string or JSON body. Unknown keys and
+ * unparseable values are dropped.
+ * @param {object} [input]
+ * @returns {object} Only the recognized, non-empty filters.
+ */
+export const parseAnimalFilters = (input = {}) => {
+  const filters = {};
+  for (const key of [
+    ...Object.keys(EXACT_FILTERS),
+    ...Object.keys(TEXT_FILTERS),
+  ]) {
+    if (typeof input[key] === "string" && input[key].trim() !== "") {
+      filters[key] = input[key].trim();
+    }
+  }
+  for (const key of Object.keys(BOOLEAN_FILTERS)) {
+    const value = parseBoolean(input[key]);
+    if (value !== undefined) filters[key] = value;
+  }
+  return filters;
+};
+
+/**
+ * Prisma `where` conditions for parsed filters. A `false` boolean filter
+ * matches both "no" and "unknown", e.g. special_needs=false keeps animals
+ * whose shelter didn't flag any special needs.
+ * @param {object} filters Output of `parseAnimalFilters`.
+ * @returns {object}
+ */
+export const buildAnimalWhere = (filters) => {
+  const conditions = [];
+  for (const [key, column] of Object.entries(EXACT_FILTERS)) {
+    if (filters[key] !== undefined) conditions.push({ [column]: filters[key] });
+  }
+  for (const [key, columns] of Object.entries(TEXT_FILTERS)) {
+    if (filters[key] !== undefined) {
+      conditions.push({
+        OR: columns.map((column) => ({
+          [column]: { contains: filters[key], mode: "insensitive" },
+        })),
+      });
+    }
+  }
+  for (const [key, column] of Object.entries(BOOLEAN_FILTERS)) {
+    if (filters[key] === true) conditions.push({ [column]: true });
+    if (filters[key] === false) {
+      conditions.push({ OR: [{ [column]: false }, { [column]: null }] });
+    }
+  }
+  return conditions.length > 0 ? { AND: conditions } : {};
+};
+
+/**
+ * The same conditions as `buildAnimalWhere`, as a raw SQL fragment that
+ * starts with `AND` (or is empty) for `$queryRaw` feeds.
+ * @param {object} filters Output of `parseAnimalFilters`.
+ * @returns {Prisma.Sql}
+ */
+export const buildAnimalFilterSql = (filters) => {
+  const conditions = [];
+  for (const [key, column] of Object.entries(EXACT_FILTERS)) {
+    if (filters[key] !== undefined) {
+      conditions.push(
+        Prisma.sql`${Prisma.raw(`"${column}"`)} = ${filters[key]}`
+      );
+    }
+  }
+  for (const [key, columns] of Object.entries(TEXT_FILTERS)) {
+    if (filters[key] !== undefined) {
+      const pattern = `%${filters[key].replace(/[\\%_]/g, "\\$&")}%`;
+      conditions.push(
+        Prisma.sql`(${Prisma.join(
+          columns.map(
+            (column) =>
+              Prisma.sql`${Prisma.raw(`"${column}"`)} ILIKE ${pattern}`
+          ),
+          " OR "
+        )})`
+      );
+    }
+  }
+  for (const [key, column] of Object.entries(BOOLEAN_FILTERS)) {
+    if (filters[key] === true) {
+      conditions.push(Prisma.sql`${Prisma.raw(`"${column}"`)} IS TRUE`);
+    }
+    if (filters[key] === false) {
+      conditions.push(Prisma.sql`${Prisma.raw(`"${column}"`)} IS NOT TRUE`);
+    }
+  }
+  return conditions.length > 0
+    ? Prisma.sql`AND ${Prisma.join(conditions, " AND ")}`
+    : Prisma.empty;
+};
+
+/**
+ * In-memory equivalent of `buildAnimalWhere`, for matching rows that were
+ * just written (e.g. saved-search alerts after a scan).
+ * @param {object} animal An `AnimalWithVideo` row.
+ * @param {object} filters Output of `parseAnimalFilters`.
+ * @returns {boolean}
+ */
+export const animalMatchesFilters = (animal, filters) => {
+  for (const [key, column] of Object.entries(EXACT_FILTERS)) {
+    if (filters[key] !== undefined && animal[column] !== filters[key]) {
+      return false;
+    }
+  }
+  for (const [key, columns] of Object.entries(TEXT_FILTERS)) {
+    if (filters[key] === undefined) continue;
+    const needle = filters[key].toLowerCase();
+    if (!columns.some((c) => animal[c]?.toLowerCase().includes(needle))) {
+      return false;
+    }
+  }
+  for (const [key, column] of Object.entries(BOOLEAN_FILTERS)) {
+    if (filters[key] === true && animal[column] !== true) return false;
+    if (filters[key] === false && animal[column] === true) return false;
+  }
+  return true;
+};
@@ -0,0 +1,44 @@
+import { geocodeAddress } from "./geocode.js";
+
+/**
+ * Geocodes an animal from the best address available: its own street
+ * address, then its organization's, then the postcode or city. Shelters
+ * share addresses, so most of these are cache hits. The result's
+ * `coordsPrecision` says which one worked.
+ * @param {object} options
+ * @param {object} [options.address] The animal's `contact.address`.
+ * @param {object} [options.organizationAddress] Its `Organization.address`.
+ * @returns {Promise<{ latitude: number, longitude: number, coordsPrecision: string } | null>}
+ * Null when nothing geocodes.
+ * @throws {RateLimitError} When the ingest geocoding budget is spent.
+ */
+export const geocodeAnimal = async ({ address, organizationAddress }) => {
+  const located = (coords, coordsPrecision) => ({
+    latitude: coords.lat,
+    longitude: coords.lon,
+    coordsPrecision,
+  });
+
+  let areaCoords = null;
+  for (const [candidate, precision] of [
+    [address, "address"],
+    [organizationAddress, "organization"],
+  ]) {
+    if (!candidate?.address1) continue;
+    const coords = await geocodeAddress(candidate);
+    if (coords?.precision === "street") return located(coords, precision);
+    // OpenCage fell back to the postcode or city; keep it in case nothing
+    // better turns up.
+    areaCoords ||= coords;
+  }
+
+  areaCoords ||= await geocodeAddress(
+    address?.postcode || address?.city ? address : organizationAddress,
+    { street: false }
+  );
+  if (!areaCoords) return null;
+  return located(
+    areaCoords,
+    areaCoords.precision === "postcode" ? "postcode" : "city"
+  );
+};
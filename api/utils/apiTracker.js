@@ -1,20 +1,15 @@
-import Redis from "ioredis";
-import dotenv from "dotenv";
-
-dotenv.config();
-
 // Your API limit.
 const API_DAILY_LIMIT = 989;
-const redis = new Redis(process.env.REDIS_URL);
 
 /**
  * A smart wrapper for making Petfinder API calls.
  * It tracks the daily usage in Redis and acts as a circuit breaker
  * to prevent rate-limiting.
+ * @param {import("ioredis").Redis} redis The caller's Redis connection.
  * @param {Function} requestFunction An async function that performs the axios API call.
  * @returns {Promise<any>} The result of the API call.
  */
-export const makeApiCallWithCount = async (requestFunction) => {
+export const makeApiCallWithCount = async (redis, requestFunction) => {
   const today = new Date().toISOString().split("T")[0]; // YYYY-MM-DD
   const dailyKey = `petfinder_api_count:${today}`;
 
@@ -0,0 +1,105 @@
+import { PrismaClient } from "@prisma/client";
+import { createHmac, timingSafeEqual } from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const TOKEN_VERSION = 1;
+
+const prisma = new PrismaClient();
+
+const getSecret = () => {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+  if (!secret) throw new Error("AUTH_TOKEN_SECRET is not configured.");
+  return secret;
+};
+
+const sign = (payload) =>
+  createHmac("sha256", getSecret()).update(payload).digest("base64url");
+
+/**
+ * Issues a signed device token for a user. Tokens don't expire; a device
+ * keeps its token until the app is reinstalled.
+ * @param {{ uuid: string }} user
+ * @returns {string} `<base64url payload>.<base64url HMAC-SHA256>`
+ */
+export const issueUserToken = (user) => {
+  const payload = Buffer.from(
+    JSON.stringify({ v: TOKEN_VERSION, sub: user.uuid, iat: Date.now() })
+  ).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Checks a token's signature and returns its claims.
+ * @param {string} token
+ * @returns {{ sub: string, iat: number } | null} Null for anything malformed
+ * or forged.
+ */
+export const verifyUserToken = (token) => {
+  if (typeof token !== "string") return null;
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const provided = Buffer.from(signature);
+  if (
+    expected.length !== provided.length ||
+    !timingSafeEqual(expected, provided)
+  ) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return claims.v === TOKEN_VERSION && claims.sub ? claims : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Finds the legacy user behind a uuid an older app build has been sending.
+ * Only users that already exist and haven't registered are found: legacy
+ * requests no longer create users, and a user created by registration never
+ * answers to its uuid alone.
+ * @param {string} uuid
+ * @returns {Promise<object | null>} The `User` row, or null.
+ */
+export const findLegacyUser = async (uuid) => {
+  if (
+    typeof uuid !== "string" ||
+    !uuid ||
+    process.env.LEGACY_USER_ID_AUTH === "false"
+  ) {
+    return null;
+  }
+  const user = await prisma.user.findUnique({ where: { uuid } });
+  return user && !user.claimedAt ? user : null;
+};
+
+/**
+ * Resolves the `User` behind a request from its `Authorization: Bearer`
+ * token. New devices get a user and token from /api/auth/register.
+ *
+ * While LEGACY_USER_ID_AUTH is not "false", requests without a token may
+ * still identify with the uuid an older app build has been sending, as long
+ * as that user already exists (see `findLegacyUser`). The uuid is the only
+ * credential those builds have, so it stays one until the flag is turned
+ * off; registering with it hands out a token for the same user without
+ * locking out the uuid or any other device holding it.
+ * @param {import("http").IncomingMessage} req
+ * @param {{ legacyUserId?: string }} [options] The uuid an older app build
+ * sent in the body or path.
+ * @returns {Promise<object | null>} The `User` row, or null if unauthenticated.
+ */
+export const getAuthenticatedUser = async (req, { legacyUserId } = {}) => {
+  const header = req.headers?.authorization;
+  if (typeof header === "string" && header.startsWith("Bearer ")) {
+    const claims = verifyUserToken(header.slice("Bearer ".length).trim());
+    if (!claims) return null;
+    return prisma.user.findUnique({ where: { uuid: claims.sub } });
+  }
+
+  return findLegacyUser(legacyUserId);
+};
@@ -0,0 +1,108 @@
+// Client engagement events, buffered in Redis by /api/events and rolled up
+// into AnimalEngagement by the engagement-rollup cron.
+
+export const ENGAGEMENT_BUFFER_KEY = "engagement:events";
+export const MAX_EVENTS_PER_BATCH = 100;
+// /api/events stops accepting events while the buffer holds this many, so
+// a stalled rollup can't grow it without bound
+export const MAX_BUFFERED_EVENTS = 500000;
+
+// Events older than this are dropped rather than reopening old days
+const MAX_EVENT_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// Allowance for clients whose clocks run ahead
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// A single watch report longer than this is a client bug
+const MAX_WATCH_SECONDS = 60 * 60;
+
+/**
+ * Each event type, the `AnimalEngagement` column it adds to, and the
+ * fields it needs beyond `type`, `animalId` and `occurredAt`.
+ * `watch_duration` adds its `durationSeconds`; the rest count one.
+ */
+export const ENGAGEMENT_EVENTS = {
+  video_start: { column: "videoStarts" },
+  video_complete: { column: "videoCompletes" },
+  watch_duration: { column: "watchSeconds", requires: ["durationSeconds"] },
+  swipe_left: { column: "swipeLefts" },
+  swipe_right: { column: "swipeRights" },
+  share: { column: "shares" },
+  tap_through: { column: "tapThroughs" },
+};
+
+export const ENGAGEMENT_COLUMNS = Object.values(ENGAGEMENT_EVENTS).map(
+  (event) => event.column
+);
+
+// Field validators; each returns `{ value }` cleaned, or `{ error }`.
+const FIELDS = {
+  animalId: (value) =>
+    Number.isInteger(value) && value > 0
+      ? { value }
+      : { error: "animalId must be a positive integer." },
+
+  durationSeconds: (value) =>
+    typeof value === "number" && value > 0 && value <= MAX_WATCH_SECONDS
+      ? { value }
+      : {
+          error: `durationSeconds must be a number from 0 to ${MAX_WATCH_SECONDS}.`,
+        },
+
+  occurredAt: (value, now) => {
+    if (value === undefined) return { value: new Date(now).toISOString() };
+    const time = typeof value === "string" ? Date.parse(value) : NaN;
+    if (isNaN(time)) return { error: "occurredAt must be an ISO date." };
+    if (time > now + MAX_CLOCK_SKEW_MS || time < now - MAX_EVENT_AGE_MS) {
+      return { error: "occurredAt is out of range." };
+    }
+    return { value: new Date(time).toISOString() };
+  },
+};
+
+/**
+ * Validates one client event.
+ * @param {object} event `{ type, animalId, occurredAt?, durationSeconds? }`.
+ * @param {number} [now] For tests; defaults to the current time.
+ * @returns {{ event?: object, error?: string }} The cleaned event, which
+ * keeps only known fields, or why it was rejected.
+ */
+export const validateEngagementEvent = (event, now = Date.now()) => {
+  if (!event || typeof event !== "object" || Array.isArray(event)) {
+    return { error: "Event must be an object." };
+  }
+  const definition = ENGAGEMENT_EVENTS[event.type];
+  if (!definition) return { error: `Unknown event type ${event.type}.` };
+
+  const cleaned = { type: event.type };
+  const fields = ["animalId", "occurredAt", ...(definition.requires || [])];
+  for (const field of fields) {
+    const result = FIELDS[field](event[field], now);
+    if (result.error) return { error: result.error };
+    cleaned[field] = result.value;
+  }
+  return { event: cleaned };
+};
+
+/**
+ * Sums events into per-animal, per-day rows of `AnimalEngagement` columns.
+ * @param {object[]} events Cleaned events, as buffered.
+ * @returns {Map<string, object>} Keyed by `${animalId}:${date}`.
+ */
+export const rollupEngagementEvents = (events) => {
+  const rows = new Map();
+  for (const event of events) {
+    const definition = ENGAGEMENT_EVENTS[event.type];
+    if (!definition) continue;
+    const date = event.occurredAt.slice(0, 10);
+    const key = `${event.animalId}:${date}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        animalId: event.animalId,
+        date,
+        ...Object.fromEntries(ENGAGEMENT_COLUMNS.map((column) => [column, 0])),
+      });
+    }
+    rows.get(key)[definition.column] +=
+      definition.column === "watchSeconds" ? event.durationSeconds : 1;
+  }
+  return rows;
+};
@@ -0,0 +1,162 @@
+import { PrismaClient } from "@prisma/client";
+import dotenv from "dotenv";
+import { haversineKm } from "./geo.js";
+import { SEEN_FEEDS } from "./seenHistory.js";
+
+dotenv.config();
+
+const envWeight = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Each component is scaled to 0..1 before weighting. Exploration is uniform
+// noise, so raising it trades relevance for variety.
+export const RANKING_WEIGHTS = {
+  affinity: envWeight("FEED_WEIGHT_AFFINITY", 0.4),
+  distance: envWeight("FEED_WEIGHT_DISTANCE", 0.2),
+  freshness: envWeight("FEED_WEIGHT_FRESHNESS", 0.15),
+  popularity: envWeight("FEED_WEIGHT_POPULARITY", 0.1),
+  exploration: envWeight("FEED_EXPLORATION", 0.15),
+};
+
+const AFFINITY_DIMENSIONS = {
+  type: "type",
+  size: "size",
+  age: "age",
+  breed: "primaryBreed",
+};
+const FAVORITE_SIGNAL = 1;
+const SEEN_SIGNAL = 0.2;
+const HISTORY_LIMIT = 300;
+const FRESHNESS_HALF_LIFE_DAYS = 14;
+
+/**
+ * Fields every ranking candidate must carry.
+ */
+export const RANKING_SELECT = {
+  id: true,
+  type: true,
+  size: true,
+  age: true,
+  primaryBreed: true,
+  createdAt: true,
+  likeCount: true,
+  latitude: true,
+  longitude: true,
+};
+
+const prisma = new PrismaClient();
+
+/**
+ * Learns how much a user leans towards each type, size, age and breed from
+ * their favorites (strong signal) and watched videos (weak signal).
+ * @param {number} userId The internal `User.id`.
+ * @returns {Promise<object>} `{ [dimension]: { [value]: 0..1 } }`, where the
+ * user's strongest preference in each dimension is 1.
+ */
+export const buildUserAffinity = async (userId) => {
+  const [favorites, seenVideos] = await Promise.all([
+    prisma.favorite.findMany({
+      where: { userId },
+      orderBy: { createdAt: "desc" },
+      take: HISTORY_LIMIT,
+      select: { animal: { select: RANKING_SELECT } },
+    }),
+    prisma.seenAnimal.findMany({
+      where: { userId, feed: SEEN_FEEDS.VIDEOS },
+      orderBy: { seenAt: "desc" },
+      take: HISTORY_LIMIT,
+      select: { animalId: true },
+    }),
+  ]);
+
+  const seenAnimals = await prisma.animalWithVideo.findMany({
+    where: { id: { in: seenVideos.map((v) => v.animalId) } },
+    select: RANKING_SELECT,
+  });
+
+  const signals = [
+    ...favorites.map((f) => [f.animal, FAVORITE_SIGNAL]),
+    ...seenAnimals.map((a) => [a, SEEN_SIGNAL]),
+  ];
+
+  const affinity = {};
+  for (const [dimension, field] of Object.entries(AFFINITY_DIMENSIONS)) {
+    const totals = {};
+    for (const [animal, weight] of signals) {
+      const value = animal[field];
+      if (value) totals[value] = (totals[value] || 0) + weight;
+    }
+    const max = Math.max(0, ...Object.values(totals));
+    affinity[dimension] = {};
+    for (const [value, total] of Object.entries(totals)) {
+      affinity[dimension][value] = max > 0 ? total / max : 0;
+    }
+  }
+  return affinity;
+};
+
+const affinityScore = (animal, affinity) => {
+  const dimensions = Object.entries(AFFINITY_DIMENSIONS).filter(
+    ([dimension]) => Object.keys(affinity[dimension] || {}).length > 0
+  );
+  if (dimensions.length === 0) return 0;
+  const sum = dimensions.reduce(
+    (acc, [dimension, field]) =>
+      acc + (affinity[dimension][animal[field]] || 0),
+    0
+  );
+  return sum / dimensions.length;
+};
+
+/**
+ * Scores and sorts feed candidates, best first.
+ * @param {Array<object>} candidates Rows selected with `RANKING_SELECT`,
+ * with pending likes added (see `withPendingLikes` in likeCounter.js).
+ * @param {object} options
+ * @param {object} options.affinity Output of `buildUserAffinity`.
+ * @param {{ lat: number, lon: number }} [options.coords] The user's location.
+ * @param {number} [options.distanceScaleKm] Distance at which the distance
+ * component has decayed to ~37%.
+ * @param {object} [options.weights] Overrides for `RANKING_WEIGHTS`.
+ * @returns {Array<{ id: number, score: number, components: object }>}
+ */
+export const rankCandidates = (
+  candidates,
+  { affinity, coords, distanceScaleKm = 160, weights = RANKING_WEIGHTS }
+) => {
+  const now = Date.now();
+  const maxLikes = Math.max(0, ...candidates.map((c) => c.likeCount));
+
+  return candidates
+    .map((animal) => {
+      const hasCoords =
+        coords && animal.latitude !== null && animal.longitude !== null;
+      const distanceKm = hasCoords
+        ? haversineKm(coords, { lat: animal.latitude, lon: animal.longitude })
+        : null;
+      const ageDays = (now - new Date(animal.createdAt).getTime()) / 86400000;
+
+      const components = {
+        affinity: affinityScore(animal, affinity),
+        distance:
+          distanceKm === null ? 0 : Math.exp(-distanceKm / distanceScaleKm),
+        freshness: Math.pow(
+          0.5,
+          Math.max(ageDays, 0) / FRESHNESS_HALF_LIFE_DAYS
+        ),
+        popularity:
+          maxLikes > 0
+            ? Math.log1p(animal.likeCount) / Math.log1p(maxLikes)
+            : 0,
+        exploration: Math.random(),
+      };
+      const score = Object.entries(components).reduce(
+        (acc, [name, value]) => acc + (weights[name] || 0) * value,
+        0
+      );
+      return { id: animal.id, score, components, distanceKm };
+    })
+    .sort((a, b) => b.score - a.score);
+};
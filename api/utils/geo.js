@@ -0,0 +1,100 @@
+import { Prisma } from "@prisma/client";
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_MILE = 1.60934;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+
+/**
+ * @param {number|string} miles
+ * @returns {number} The same distance in kilometers.
+ */
+export const milesToKm = (miles) => Number(miles) * KM_PER_MILE;
+
+/**
+ * Smallest latitude/longitude box that contains every point within
+ * `radiusKm` of `coords`. Longitude bounds are null when the circle covers a
+ * pole or crosses the antimeridian, in which case only latitude is bounded.
+ * @param {{ lat: number, lon: number }} coords
+ * @param {number} radiusKm
+ * @returns {{ minLat: number, maxLat: number, minLon: number|null, maxLon: number|null }}
+ */
+export const getBoundingBox = ({ lat, lon }, radiusKm) => {
+  const angularRadius = radiusKm / EARTH_RADIUS_KM;
+  const minLat = lat - toDegrees(angularRadius);
+  const maxLat = lat + toDegrees(angularRadius);
+
+  const sinRatio = Math.sin(angularRadius) / Math.cos(toRadians(lat));
+  if (minLat <= -90 || maxLat >= 90 || sinRatio >= 1) {
+    return {
+      minLat: Math.max(minLat, -90),
+      maxLat: Math.min(maxLat, 90),
+      minLon: null,
+      maxLon: null,
+    };
+  }
+
+  const lonDelta = toDegrees(Math.asin(sinRatio));
+  const minLon = lon - lonDelta;
+  const maxLon = lon + lonDelta;
+  if (minLon < -180 || maxLon > 180) {
+    return { minLat, maxLat, minLon: null, maxLon: null };
+  }
+  return { minLat, maxLat, minLon, maxLon };
+};
+
+const column = (alias, name) =>
+  Prisma.raw(alias ? `${alias}."${name}"` : `"${name}"`);
+
+/**
+ * Exact great-circle distance in kilometers from `coords` to each row.
+ * @param {{ lat: number, lon: number }} coords
+ * @param {string} [alias] Table alias when the query joins several tables.
+ * @returns {Prisma.Sql}
+ */
+export const distanceKmSql = ({ lat, lon }, alias) => {
+  const latitude = column(alias, "latitude");
+  const longitude = column(alias, "longitude");
+  return Prisma.sql`(${EARTH_RADIUS_KM} * acos(LEAST(1.0, cos(radians(${lat})) * cos(radians(${latitude})) * cos(radians(${longitude}) - radians(${lon})) + sin(radians(${lat})) * sin(radians(${latitude})))))`;
+};
+
+/**
+ * WHERE predicate for rows within `radiusKm` of `coords`. The bounding box
+ * comes first so Postgres can narrow candidates with the
+ * (latitude, longitude) index before evaluating the exact distance.
+ * @param {{ lat: number, lon: number }} coords
+ * @param {number} radiusKm
+ * @param {string} [alias] Table alias when the query joins several tables.
+ * @returns {Prisma.Sql}
+ */
+export const withinRadiusSql = (coords, radiusKm, alias) => {
+  const box = getBoundingBox(coords, radiusKm);
+  const latitude = column(alias, "latitude");
+  const longitude = column(alias, "longitude");
+  const lonBounds =
+    box.minLon === null
+      ? Prisma.empty
+      : Prisma.sql`AND ${longitude} BETWEEN ${box.minLon} AND ${box.maxLon}`;
+  return Prisma.sql`(${latitude} BETWEEN ${box.minLat} AND ${box.maxLat} ${lonBounds} AND ${distanceKmSql(
+    coords,
+    alias
+  )} < ${radiusKm})`;
+};
+
+/**
+ * Great-circle distance between two points, in kilometers.
+ * @param {{ lat: number, lon: number }} a
+ * @param {{ lat: number, lon: number }} b
+ * @returns {number}
+ */
+export const haversineKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) *
+      Math.cos(toRadians(b.lat)) *
+      Math.sin(dLon / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.asin(Math.min(1, Math.sqrt(h)));
+};
@@ -0,0 +1,188 @@
+import Redis from "ioredis";
+import dotenv from "dotenv";
+import opencage from "opencage-api-client";
+import pino from "pino";
+import {
+  checkRateLimit,
+  checkRateLimits,
+  RateLimitError,
+} from "./rateLimit.js";
+
+dotenv.config();
+
+const COORDS_CACHE_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 days
+const ADDRESS_CACHE_TTL_SECONDS = 60 * 60 * 24 * 90;
+// Misses are cached too, but shorter, in case OpenCage's data improves.
+const ADDRESS_MISS_TTL_SECONDS = 60 * 60 * 24 * 7;
+// OpenCage `components._type` values that place a result at the centroid
+// of an area. Anything else (building, road, ...) is street level.
+const AREA_TYPES = [
+  "neighbourhood",
+  "suburb",
+  "city_district",
+  "city",
+  "town",
+  "village",
+  "county",
+  "state_district",
+  "state",
+  "region",
+  "country",
+];
+// OPENCAGE_PROXY_URL points the client somewhere other than OpenCage, e.g.
+// the fake Petfinder server's geocoder in development.
+const OPENCAGE_OPTIONS = process.env.OPENCAGE_PROXY_URL
+  ? { proxyURL: process.env.OPENCAGE_PROXY_URL }
+  : undefined;
+
+const redis = new Redis(process.env.REDIS_URL);
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+
+/**
+ * Resolves a free-form location ("Austin, TX", "90210") to coordinates.
+ * Results are cached in Redis for 30 days so repeated searches for the same
+ * place don't spend OpenCage quota. Cache misses are rate limited separately
+ * (and more strictly) than the endpoints calling this, since unique location
+ * strings are the cheapest way to drain the quota.
+ * @param {string} location The user-supplied location string.
+ * @param {{ clientIds?: string[] }} [options] The caller, from `getClientIds`,
+ * for the per-client geocoding budgets.
+ * @returns {Promise<{ lat: number, lon: number } | null>} Null when the
+ * location is missing or can't be geocoded.
+ * @throws {RateLimitError} When a cache miss is over the geocoding budget.
+ */
+export const getUserCoordinates = async (location, { clientIds = [] } = {}) => {
+  if (!location || typeof location !== "string") return null;
+
+  const sanitizedLocation = location.toLowerCase().replace(/[^a-z0-9,]/g, "");
+  const cacheKey = `coords:${sanitizedLocation}`;
+
+  try {
+    const cachedCoords = await redis.get(cacheKey);
+    if (cachedCoords) {
+      logger.info({ location }, `Cache HIT for coordinates`);
+      return JSON.parse(cachedCoords);
+    }
+
+    // Checked together, so a call the global budget refuses doesn't use up
+    // the client's.
+    const { allowed, policyName, resetSeconds } = await checkRateLimits(redis, [
+      ...clientIds.map((clientId) => ["geocode", clientId]),
+      ["geocodeGlobal", "all"],
+    ]);
+    if (!allowed) throw new RateLimitError(policyName, resetSeconds);
+
+    logger.info(
+      { location },
+      `Cache MISS for coordinates. Calling OpenCage API.`
+    );
+    const geoData = await opencage.geocode(
+      { q: location, key: process.env.OPENCAGE_API_KEY },
+      OPENCAGE_OPTIONS
+    );
+    if (!geoData.results || geoData.results.length === 0) {
+      throw new Error(`Could not determine coordinates for ${location}`);
+    }
+
+    const { lat, lng } = geoData.results[0].geometry;
+    const coords = { lat, lon: lng };
+
+    await redis.set(
+      cacheKey,
+      JSON.stringify(coords),
+      "EX",
+      COORDS_CACHE_TTL_SECONDS
+    );
+    return coords;
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      logger.warn({ location, clientIds }, "Geocoding budget exceeded");
+      throw error;
+    }
+    logger.error({ err: error, location }, "Failed to get coordinates");
+    return null;
+  }
+};
+
+const getPrecision = (result) => {
+  const type = result.components?._type;
+  if (type === "postcode") return "postcode";
+  return AREA_TYPES.includes(type) ? "city" : "street";
+};
+
+/**
+ * Geocodes a postal address in Petfinder's `contact.address` shape, for
+ * placing animals. Results, misses included, are cached by address, and
+ * cache misses draw on the crons' `geocodeIngest` budget.
+ * @param {{ address1?: string, city?: string, state?: string, postcode?: string, country?: string }} address
+ * @param {{ street?: boolean }} [options] `street: false` ignores `address1`
+ * and geocodes only the postcode and city.
+ * @returns {Promise<{ lat: number, lon: number, precision: "street" | "postcode" | "city" } | null>}
+ * Null when the address is empty, can't be geocoded, or OpenCage fails.
+ * @throws {RateLimitError} When a cache miss is over the ingest budget.
+ */
+export const geocodeAddress = async (address, { street = true } = {}) => {
+  const query = [
+    street ? address?.address1 : null,
+    address?.city,
+    [address?.state, address?.postcode].filter(Boolean).join(" "),
+    address?.country,
+  ]
+    .map((part) => (typeof part === "string" ? part.trim() : ""))
+    .filter(Boolean)
+    .join(", ");
+  if (!query) return null;
+
+  const cacheKey = `geocode:address:${query
+    .toLowerCase()
+    .replace(/[^a-z0-9,]/g, "")}`;
+
+  try {
+    const cached = await redis.get(cacheKey);
+    if (cached) return JSON.parse(cached);
+
+    const { allowed, resetSeconds } = await checkRateLimit(
+      redis,
+      "geocodeIngest",
+      "ingest"
+    );
+    if (!allowed) throw new RateLimitError("geocodeIngest", resetSeconds);
+
+    const geoData = await opencage.geocode(
+      {
+        q: query,
+        key: process.env.OPENCAGE_API_KEY,
+        limit: 1,
+        no_annotations: 1,
+      },
+      OPENCAGE_OPTIONS
+    );
+    const [result] = geoData.results || [];
+    const coords = result
+      ? {
+          lat: result.geometry.lat,
+          lon: result.geometry.lng,
+          precision: getPrecision(result),
+        }
+      : null;
+
+    await redis.set(
+      cacheKey,
+      JSON.stringify(coords),
+      "EX",
+      coords ? ADDRESS_CACHE_TTL_SECONDS : ADDRESS_MISS_TTL_SECONDS
+    );
+    return coords;
+  } catch (error) {
+    if (error instanceof RateLimitError) throw error;
+    logger.error({ err: error, query }, "Failed to geocode address");
+    return null;
+  }
+};
@@ -0,0 +1,133 @@
+import { PrismaClient } from "@prisma/client";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const INGESTION_JOBS = ["deep-scan", "refresh"];
+export const INGESTION_RUN_STATUSES = [
+  "running",
+  "succeeded",
+  "failed",
+  "skipped",
+];
+// A run that fails on every animal shouldn't write a huge row; the full
+// count is still kept in `totals.errors`.
+const MAX_RECORDED_ERRORS = 100;
+
+const prisma = new PrismaClient();
+
+/**
+ * Opens an `IngestionRun` row and returns a tracker the job fills in as it
+ * goes. Counts are kept in memory and written on `checkpoint` and `finish`.
+ * If the row can't be written the job still runs; only its history is lost.
+ * @param {string} job One of INGESTION_JOBS.
+ * @returns {Promise<object>} The run tracker.
+ */
+export const startIngestionRun = async (job) => {
+  const run = {
+    scanAfter: null,
+    apiCalls: 0,
+    totals: {},
+    hubs: [],
+    errors: [],
+  };
+  let id = null;
+  let finished = false;
+
+  try {
+    ({ id } = await prisma.ingestionRun.create({
+      data: { job },
+      select: { id: true },
+    }));
+  } catch (error) {
+    console.error(
+      `INGESTION RUNS: Could not record the start of a ${job} run: ${error.message}`
+    );
+  }
+
+  const save = async (data) => {
+    if (id === null) return;
+    try {
+      await prisma.ingestionRun.update({
+        where: { id },
+        data: { ...run, ...data },
+      });
+    } catch (error) {
+      console.error(
+        `INGESTION RUNS: Could not save ${job} run ${id}: ${error.message}`
+      );
+    }
+  };
+
+  const tracker = {
+    id,
+
+    /** @param {string | Date} after */
+    setScanAfter(after) {
+      run.scanAfter = new Date(after);
+    },
+
+    addApiCalls(count = 1) {
+      run.apiCalls += count;
+    },
+
+    /** Adds to a named job total, e.g. `count("updated", 3)`. */
+    count(key, amount = 1) {
+      run.totals[key] = (run.totals[key] || 0) + amount;
+    },
+
+    /** @param {{ source: string, hub: string }} hub Plus any counts. */
+    addHub(hub) {
+      run.hubs.push(hub);
+    },
+
+    /**
+     * @param {Error | string} error
+     * @param {object} [context] e.g. `{ source, hub, animalId }`.
+     */
+    addError(error, context = {}) {
+      tracker.count("errors");
+      if (run.errors.length >= MAX_RECORDED_ERRORS) return;
+      run.errors.push({
+        message: error?.message ?? String(error),
+        ...context,
+        at: new Date().toISOString(),
+      });
+    },
+
+    /** Writes the counts so far; a run killed mid-way keeps them. */
+    checkpoint: () => save({}),
+
+    /**
+     * Closes the run. Later calls are ignored, so a job can end itself
+     * early (e.g. "skipped") before the caller's own `finish`.
+     * @param {string} [status]
+     * @param {Error | string} [error] Recorded as a fatal error.
+     */
+    async finish(status = "succeeded", error) {
+      if (finished) return;
+      finished = true;
+      if (error) tracker.addError(error, { fatal: true });
+      await save({ status, finishedAt: new Date() });
+    },
+  };
+  return tracker;
+};
+
+/**
+ * Runs `job` with a fresh tracker, marking the run succeeded or failed by
+ * whether it throws. Errors are rethrown.
+ * @param {string} jobName One of INGESTION_JOBS.
+ * @param {(run: object) => Promise<void>} job
+ * @returns {Promise<void>}
+ */
+export const trackIngestionRun = async (jobName, job) => {
+  const run = await startIngestionRun(jobName);
+  try {
+    await job(run);
+    await run.finish("succeeded");
+  } catch (error) {
+    await run.finish("failed", error);
+    throw error;
+  }
+};
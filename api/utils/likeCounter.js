@@ -0,0 +1,112 @@
+// Write-behind like counts. Likes and unlikes only touch Redis: each animal
+// has a pending delta in one hash, and the like-flush cron recounts the
+// touched animals' favorites into AnimalWithVideo.likeCount in batches. The
+// Favorite rows are the source of truth, so a delta that's lost or wrong
+// only skews the count until the next flush. An animal's count in between
+// is its stored likeCount plus its pending delta.
+
+export const PENDING_LIKES_KEY = "likes:pending";
+// The flush renames the pending hash here before recounting, so likes made
+// meanwhile start a fresh one.
+const FLUSHING_LIKES_KEY = "likes:flushing";
+
+// Adds to an animal's pending delta without letting the count go below
+// zero. A delta of zero is kept: it still marks the animal for a recount.
+// Returns the animal's whole delta, including any part being flushed.
+const ADD_LIKE_SCRIPT = `
+local pending = tonumber(redis.call("HGET", KEYS[1], ARGV[1]) or "0")
+local flushing = tonumber(redis.call("HGET", KEYS[2], ARGV[1]) or "0")
+local stored = tonumber(ARGV[2])
+local nextPending = pending + tonumber(ARGV[3])
+if stored + flushing + nextPending < 0 then
+  nextPending = -(stored + flushing)
+end
+redis.call("HSET", KEYS[1], ARGV[1], nextPending)
+return nextPending + flushing
+`;
+
+/**
+ * Records a like (+1) or unlike (-1), or with 0 just marks the animal's
+ * count for a recount, e.g. when a retried request finds its favorite
+ * already written.
+ * @param {import("ioredis").Redis} redis The caller's Redis connection.
+ * @param {number} animalId
+ * @param {number} storedCount The animal's `likeCount` in Postgres.
+ * @param {number} delta
+ * @returns {Promise<number>} The animal's count including the change.
+ */
+export const addPendingLike = async (redis, animalId, storedCount, delta) => {
+  const pending = await redis.eval(
+    ADD_LIKE_SCRIPT,
+    2,
+    PENDING_LIKES_KEY,
+    FLUSHING_LIKES_KEY,
+    animalId,
+    storedCount,
+    delta
+  );
+  return storedCount + pending;
+};
+
+/**
+ * Pending deltas for some animals, in the order given, including any part
+ * being flushed.
+ * @param {import("ioredis").Redis} redis
+ * @param {number[]} animalIds
+ * @returns {Promise<number[]>}
+ */
+export const getPendingLikes = async (redis, animalIds) => {
+  if (animalIds.length === 0) return [];
+  const [pending, flushing] = await Promise.all([
+    redis.hmget(PENDING_LIKES_KEY, ...animalIds),
+    redis.hmget(FLUSHING_LIKES_KEY, ...animalIds),
+  ]);
+  return pending.map(
+    (delta, i) => (Number(delta) || 0) + (Number(flushing[i]) || 0)
+  );
+};
+
+/**
+ * Animals with their pending deltas added to `likeCount`, for every read
+ * that shows counts. Deltas are read live, so a cached animal's count is
+ * only as stale as its stored part.
+ * @param {import("ioredis").Redis} redis
+ * @param {Array<{ id: number, likeCount: number }>} animals
+ * @returns {Promise<object[]>} Copies, in the same order.
+ */
+export const withPendingLikes = async (redis, animals) => {
+  const pending = await getPendingLikes(
+    redis,
+    animals.map((animal) => animal.id)
+  );
+  return animals.map((animal, i) => ({
+    ...animal,
+    likeCount: Math.max(animal.likeCount + pending[i], 0),
+  }));
+};
+
+/**
+ * Claims every animal touched since the last flush for recounting. Animals
+ * a failed flush left claimed are returned again; recounting is safe to
+ * repeat.
+ * @param {import("ioredis").Redis} redis
+ * @returns {Promise<number[]>} Animal ids.
+ */
+export const claimPendingLikes = async (redis) => {
+  if (!(await redis.exists(FLUSHING_LIKES_KEY))) {
+    if (!(await redis.exists(PENDING_LIKES_KEY))) return [];
+    await redis.rename(PENDING_LIKES_KEY, FLUSHING_LIKES_KEY);
+  }
+  const animalIds = await redis.hkeys(FLUSHING_LIKES_KEY);
+  return animalIds.map(Number);
+};
+
+/**
+ * Drops the deltas of animals whose counts have been recounted.
+ * @param {import("ioredis").Redis} redis
+ * @param {number[]} animalIds
+ */
+export const acknowledgeFlushedLikes = async (redis, animalIds) => {
+  if (animalIds.length === 0) return;
+  await redis.hdel(FLUSHING_LIKES_KEY, ...animalIds);
+};
@@ -0,0 +1,103 @@
+import axios from "axios";
+import dotenv from "dotenv";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+dotenv.config();
+
+const DEFAULT_FROM = process.env.MAIL_FROM || "Pawdopt <no-reply@pawdopt.app>";
+
+// --- TRANSPORTS ---
+// Every transport exposes `send(message)` and resolves with an `{ id }` the
+// caller can log. `message` is { to, from, replyTo, subject, text }.
+
+const consoleTransport = {
+  name: "console",
+  send: async (message) => {
+    console.log(
+      `MAILER: [console] To: ${message.to} | Subject: ${message.subject}\n${message.text}`
+    );
+    return { id: `console-${Date.now()}` };
+  },
+};
+
+const fileTransport = {
+  name: "file",
+  send: async (message) => {
+    const dir =
+      process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), "pawdopt-mail");
+    await fs.mkdir(dir, { recursive: true });
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify(message, null, 2)
+    );
+    return { id };
+  },
+};
+
+// Posts to any Resend-style JSON mail API (MAIL_HTTP_URL + MAIL_HTTP_API_KEY).
+const httpTransport = {
+  name: "http",
+  send: async (message) => {
+    const response = await axios.post(
+      process.env.MAIL_HTTP_URL,
+      {
+        from: message.from,
+        to: [message.to],
+        reply_to: message.replyTo,
+        subject: message.subject,
+        text: message.text,
+      },
+      {
+        headers: { Authorization: `Bearer ${process.env.MAIL_HTTP_API_KEY}` },
+        timeout: 10000,
+      }
+    );
+    return { id: response.data?.id };
+  },
+};
+
+const TRANSPORTS = {
+  console: consoleTransport,
+  file: fileTransport,
+  http: httpTransport,
+};
+
+let activeTransport = null;
+
+const resolveTransport = () => {
+  if (activeTransport) return activeTransport;
+  const name =
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? "http" : "console");
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}".`);
+  }
+  return transport;
+};
+
+/**
+ * Replaces the transport chosen from MAIL_TRANSPORT. Pass `null` to go back
+ * to the environment default. Intended for tests and local scripts.
+ * @param {{ name: string, send: Function } | null} transport
+ */
+export const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Sends a plain-text email through the configured transport.
+ * @param {{ to: string, subject: string, text: string, replyTo?: string, from?: string }} message
+ * @returns {Promise<{ id: string, transport: string }>}
+ */
+export const sendMail = async (message) => {
+  if (!message.to) {
+    throw new Error("Mail recipient is required.");
+  }
+  const transport = resolveTransport();
+  const result = await transport.send({ from: DEFAULT_FROM, ...message });
+  return { id: result?.id, transport: transport.name };
+};
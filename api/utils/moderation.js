@@ -0,0 +1,134 @@
+import { Prisma } from "@prisma/client";
+import { getPromotedFields } from "./animalFilters.js";
+
+// Source fields an admin may correct. `status` is left to the sources so
+// adoptions still come through.
+const STRING_OVERRIDES = [
+  "name",
+  "type",
+  "age",
+  "gender",
+  "size",
+  "city",
+  "state",
+  "description",
+];
+const OBJECT_OVERRIDES = ["breeds", "colors", "attributes", "environment"];
+export const OVERRIDABLE_FIELDS = [...STRING_OVERRIDES, ...OBJECT_OVERRIDES];
+
+/**
+ * Prisma `where` conditions for animals the feeds may show: still listed
+ * (not archived), not hidden and not from a blocked organization. Spread
+ * into a feed's `where`.
+ */
+export const VISIBLE_ANIMAL_WHERE = {
+  archivedAt: null,
+  hiddenAt: null,
+  OR: [{ organizationId: null }, { organization: { blockedAt: null } }],
+};
+
+/**
+ * The same conditions as `VISIBLE_ANIMAL_WHERE`, as a raw SQL fragment that
+ * starts with `AND` for `$queryRaw` feeds.
+ * @param {string} [alias] Table alias for "AnimalWithVideo", if the query uses one.
+ * @param {{ includeArchived?: boolean }} [options] For feeds about animals
+ * that have left (e.g. adoptions), which still respect moderation.
+ * @returns {Prisma.Sql}
+ */
+export const visibleAnimalSql = (alias, { includeArchived = false } = {}) => {
+  const table = alias || `"AnimalWithVideo"`;
+  const archived = includeArchived
+    ? Prisma.empty
+    : Prisma.sql`AND ${Prisma.raw(`${table}."archivedAt"`)} IS NULL`;
+  return Prisma.sql`${archived}
+    AND ${Prisma.raw(`${table}."hiddenAt"`)} IS NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM "Organization" blocked
+      WHERE blocked.id = ${Prisma.raw(`${table}."organizationId"`)}
+      AND blocked."blockedAt" IS NOT NULL
+    )`;
+};
+
+/**
+ * Validates an override payload. A `null` value removes that override.
+ * @param {object} fields
+ * @returns {{ fields?: object, error?: string }}
+ */
+export const parseOverrides = (fields) => {
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+    return { error: "fields must be an object." };
+  }
+  const parsed = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (!OVERRIDABLE_FIELDS.includes(key)) {
+      return { error: `${key} can't be overridden.` };
+    }
+    if (value === null) {
+      parsed[key] = null;
+    } else if (STRING_OVERRIDES.includes(key)) {
+      if (typeof value !== "string" || !value.trim()) {
+        return { error: `${key} must be a non-empty string.` };
+      }
+      parsed[key] = value.trim();
+    } else {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return { error: `${key} must be an object.` };
+      }
+      parsed[key] = value;
+    }
+  }
+  return { fields: parsed };
+};
+
+/**
+ * Merges an override update into an animal's stored overrides.
+ * @param {object} current `AnimalWithVideo.overrides`.
+ * @param {object} fields Output of `parseOverrides`.
+ * @returns {object}
+ */
+export const mergeOverrides = (current, fields) => {
+  const merged = { ...current };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null) delete merged[key];
+    else merged[key] = value;
+  }
+  return merged;
+};
+
+/**
+ * Applies overrides on top of an animal record and recomputes the columns
+ * promoted from the overridden JSON.
+ * @param {object} record An `AnimalWithVideo` row or `toAnimalRecord` output.
+ * @param {object} [overrides]
+ * @returns {object} A new record.
+ */
+export const applyOverrides = (record, overrides) => {
+  const picked = Object.fromEntries(
+    Object.entries(overrides || {}).filter(([key]) =>
+      OVERRIDABLE_FIELDS.includes(key)
+    )
+  );
+  if (Object.keys(picked).length === 0) return record;
+  const merged = { ...record, ...picked };
+  return { ...merged, ...getPromotedFields(merged) };
+};
+
+/**
+ * `AdminAuditLog` data for a moderation action.
+ * @param {import("http").IncomingMessage} req
+ * @param {{ action: string, targetType: string, targetId: string | number, details?: object }} entry
+ * @returns {object}
+ */
+export const buildAuditEntry = (
+  req,
+  { action, targetType, targetId, details = {} }
+) => ({
+  action,
+  targetType,
+  targetId: String(targetId),
+  actor:
+    typeof req.headers["x-admin-actor"] === "string"
+      ? req.headers["x-admin-actor"].slice(0, 100)
+      : null,
+  details,
+});
@@ -0,0 +1,56 @@
+import { PrismaClient } from "@prisma/client";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const NOTIFICATION_TYPES = {
+  SAVED_SEARCH_MATCH: "saved_search_match",
+  FAVORITE_STATUS_CHANGE: "favorite_status_change",
+  FAVORITE_MEDIA_UPDATE: "favorite_media_update",
+  FAVORITE_REMOVED: "favorite_removed",
+  INQUIRY_REPLY: "inquiry_reply",
+};
+
+const prisma = new PrismaClient();
+
+/**
+ * Queues a notification for a single user. The row lands in the
+ * `Notification` outbox and the notifications cron pushes it to the user's
+ * devices, so callers (crons, request handlers) never wait on a provider.
+ * @param {number} userId The internal `User.id`.
+ * @param {{ type: string, title: string, body: string, data?: object }} notification
+ * @returns {Promise<object>} The created `Notification` row.
+ */
+export const queueNotification = async (userId, notification) => {
+  return prisma.notification.create({
+    data: {
+      userId,
+      type: notification.type,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data || {},
+    },
+  });
+};
+
+/**
+ * Queues many notifications at once, e.g. one change fanned out to every
+ * user following an animal. `push: false` keeps a notification in the
+ * in-app inbox without sending it to devices.
+ * @param {Array<{ userId: number, type: string, title: string, body: string, data?: object, push?: boolean }>} notifications
+ * @returns {Promise<number>} How many were queued.
+ */
+export const queueNotifications = async (notifications) => {
+  if (notifications.length === 0) return 0;
+  const { count } = await prisma.notification.createMany({
+    data: notifications.map(({ push = true, ...notification }) => ({
+      userId: notification.userId,
+      type: notification.type,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data || {},
+      pushStatus: push ? "pending" : "skipped",
+    })),
+  });
+  return count;
+};
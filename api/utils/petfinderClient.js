@@ -0,0 +1,170 @@
+import axios from "axios";
+import axiosRetry from "axios-retry";
+import dotenv from "dotenv";
+import querystring from "querystring";
+import { makeApiCallWithCount } from "./apiTracker.js";
+
+dotenv.config();
+
+const DEFAULT_BASE_URL = "https://api.petfinder.com/v2";
+const TOKEN_KEY = "petfinder_token";
+const TOKEN_LOCK_TTL_SECONDS = 10;
+const TOKEN_LOCK_WAIT_MS = 2000;
+const MAX_RETRIES = 3;
+// A Retry-After longer than this won't fit in a serverless invocation, so
+// the request fails instead of sleeping.
+const MAX_RETRY_AFTER_MS = 60000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry-After is either a number of seconds or an HTTP date.
+const getRetryAfterMs = (error) => {
+  const header = error.response?.headers?.["retry-after"];
+  if (!header) return 0;
+  const seconds = Number(header);
+  const ms = Number.isFinite(seconds)
+    ? seconds * 1000
+    : new Date(header).getTime() - Date.now();
+  return Math.max(ms || 0, 0);
+};
+
+/**
+ * Petfinder API v2 client shared by the crons. Every request goes through
+ * `makeApiCallWithCount`, so calls count against the daily budget.
+ *
+ * PETFINDER_BASE_URL points it at another server, e.g. the fake in
+ * dev/fake-petfinder.
+ */
+export class PetfinderClient {
+  /**
+   * @param {object} options
+   * @param {import("ioredis").Redis} options.redis Holds the shared access
+   * token so concurrent workers don't each fetch one.
+   * @param {string} [options.logPrefix] Prepended to log lines, e.g. "DEEP SCAN".
+   * @param {string} [options.baseUrl]
+   */
+  constructor({
+    redis,
+    logPrefix = "PETFINDER",
+    baseUrl = process.env.PETFINDER_BASE_URL || DEFAULT_BASE_URL,
+  }) {
+    this.redis = redis;
+    this.logPrefix = logPrefix;
+    this.http = axios.create({ baseURL: baseUrl.replace(/\/$/, "") });
+
+    axiosRetry(this.http, {
+      retries: MAX_RETRIES,
+      retryCondition: (error) =>
+        axiosRetry.isNetworkError(error) ||
+        error.response?.status >= 500 ||
+        (error.response?.status === 429 &&
+          getRetryAfterMs(error) <= MAX_RETRY_AFTER_MS),
+      retryDelay: (retryCount, error) => {
+        const ms = Math.max(
+          2000 * 2 ** (retryCount - 1),
+          getRetryAfterMs(error)
+        );
+        console.log(
+          `${this.logPrefix}: Request failed (${
+            error.response?.status ?? error.code
+          }), retrying in ${ms / 1000} seconds...`
+        );
+        return ms;
+      },
+    });
+  }
+
+  /**
+   * Returns a cached access token, fetching a new one under a Redis lock
+   * when it has expired.
+   * @returns {Promise<string>}
+   */
+  async getValidToken() {
+    const token = await this.redis.get(TOKEN_KEY);
+    if (token) return token;
+
+    const lockKey = `${TOKEN_KEY}_lock`;
+    if (
+      !(await this.redis.set(lockKey, "1", "EX", TOKEN_LOCK_TTL_SECONDS, "NX"))
+    ) {
+      await delay(TOKEN_LOCK_WAIT_MS);
+      return this.getValidToken();
+    }
+
+    try {
+      console.log(`${this.logPrefix}: No valid token, fetching new one...`);
+      const response = await makeApiCallWithCount(this.redis, () =>
+        this.http.post(
+          "/oauth2/token",
+          querystring.stringify({
+            grant_type: "client_credentials",
+            client_id: process.env.PETFINDER_CLIENT_ID,
+            client_secret: process.env.PETFINDER_CLIENT_SECRET,
+          })
+        )
+      );
+      const { access_token, expires_in } = response.data;
+      await this.redis.set(TOKEN_KEY, access_token, "EX", expires_in - 60);
+      return access_token;
+    } finally {
+      await this.redis.del(lockKey);
+    }
+  }
+
+  /**
+   * Authenticated GET. A 401 means the cached token was revoked early, so
+   * it's dropped and the request is tried once more with a fresh one.
+   * @param {string} path Relative to the base URL, e.g. "/animals".
+   * @param {object} [params] Query string parameters.
+   * @returns {Promise<object>} The response body.
+   */
+  async get(path, params) {
+    const send = async () => {
+      const token = await this.getValidToken();
+      return makeApiCallWithCount(this.redis, () =>
+        this.http.get(path, {
+          headers: { Authorization: `Bearer ${token}` },
+          params,
+        })
+      );
+    };
+
+    try {
+      return (await send()).data;
+    } catch (error) {
+      if (error.response?.status !== 401) throw error;
+      await this.redis.del(TOKEN_KEY);
+      return (await send()).data;
+    }
+  }
+
+  /**
+   * GET /animals.
+   * @param {object} params Petfinder search parameters (location, distance,
+   * sort, after, page, limit, ...).
+   * @returns {Promise<{ animals: object[], pagination: object }>}
+   */
+  searchAnimals(params) {
+    return this.get("/animals", params);
+  }
+
+  /**
+   * GET /animals/:id. Rejects with the axios error (status 404) once a
+   * listing has been removed.
+   * @param {number} id
+   * @returns {Promise<object>} The animal.
+   */
+  async getAnimal(id) {
+    return (await this.get(`/animals/${id}`)).animal;
+  }
+
+  /**
+   * GET /organizations/:id.
+   * @param {string} id
+   * @returns {Promise<object>} The organization.
+   */
+  async getOrganization(id) {
+    return (await this.get(`/organizations/${encodeURIComponent(id)}`))
+      .organization;
+  }
+}
@@ -0,0 +1,119 @@
+import axios from "axios";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const EXPO_PUSH_URL = "https://exp.host/--/api/v2/push/send";
+const EXPO_BATCH_SIZE = 100;
+
+/**
+ * Every kind of device token the app can register. Not every transport
+ * reaches all of them; the notifications cron skips tokens its transport
+ * can't.
+ */
+export const PUSH_PROVIDERS = ["expo", "apns", "fcm"];
+
+// --- TRANSPORTS ---
+// A transport exposes `providers` (the DeviceToken.provider values it can
+// reach) and `send(messages)`, where each message is { to, title, body, data }.
+// `send` resolves with one result per message, in order:
+//   { ok: true } | { ok: false, invalidToken: boolean, error: string }
+// A transport that sends in chunks reports a failed chunk in those results
+// rather than throwing, so chunks already delivered aren't sent again.
+
+const expoTransport = {
+  name: "expo",
+  providers: ["expo"],
+  send: async (messages) => {
+    const results = [];
+    for (let i = 0; i < messages.length; i += EXPO_BATCH_SIZE) {
+      const batch = messages.slice(i, i + EXPO_BATCH_SIZE);
+      let response;
+      try {
+        response = await axios.post(
+          EXPO_PUSH_URL,
+          batch.map((m) => ({ ...m, sound: "default" })),
+          {
+            headers: process.env.EXPO_ACCESS_TOKEN
+              ? { Authorization: `Bearer ${process.env.EXPO_ACCESS_TOKEN}` }
+              : {},
+            timeout: 10000,
+          }
+        );
+      } catch (error) {
+        // The chunk never got through (network, provider outage); only
+        // its messages are retried.
+        results.push(
+          ...batch.map(() => ({
+            ok: false,
+            invalidToken: false,
+            error: error.message,
+          }))
+        );
+        continue;
+      }
+      for (const ticket of response.data.data) {
+        if (ticket.status === "ok") {
+          results.push({ ok: true });
+        } else {
+          results.push({
+            ok: false,
+            invalidToken: ticket.details?.error === "DeviceNotRegistered",
+            error: ticket.message || ticket.details?.error || "Unknown error",
+          });
+        }
+      }
+    }
+    return results;
+  },
+};
+
+/**
+ * In-memory transport that records every payload instead of sending it.
+ * Tokens listed in `stubTransport.invalidTokens` are reported as
+ * unregistered so token pruning can be exercised locally.
+ */
+export const stubTransport = {
+  name: "stub",
+  providers: PUSH_PROVIDERS,
+  sent: [],
+  invalidTokens: new Set(),
+  send: async (messages) => {
+    stubTransport.sent.push(...messages);
+    return messages.map((m) =>
+      stubTransport.invalidTokens.has(m.to)
+        ? { ok: false, invalidToken: true, error: "DeviceNotRegistered" }
+        : { ok: true }
+    );
+  },
+};
+
+const TRANSPORTS = { expo: expoTransport, stub: stubTransport };
+
+let activeTransport = null;
+
+/**
+ * Replaces the transport chosen from PUSH_TRANSPORT. Pass `null` to go back
+ * to the environment default.
+ * @param {object | null} transport
+ */
+export const setPushTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Returns the transport selected by PUSH_TRANSPORT ("expo" in production,
+ * "stub" otherwise) unless one was injected with `setPushTransport`.
+ * @returns {{ name: string, providers: string[], send: Function }}
+ */
+export const getPushTransport = () => {
+  if (activeTransport) return activeTransport;
+  const name =
+    process.env.PUSH_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? "expo" : "stub");
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown PUSH_TRANSPORT "${name}".`);
+  }
+  return transport;
+};
@@ -0,0 +1,217 @@
+import { randomUUID } from "crypto";
+import pino from "pino";
+
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+
+/**
+ * Requests allowed per sliding window, by route. Requests from a known user
+ * count against both the user and their IP (see `getClientIds`), so minting
+ * new users doesn't reset a budget; `ipLimit`, where set, is the larger
+ * allowance for an IP that several users may share. The geocode policies only
+ * count OpenCage calls (cache misses): `geocode` per client and
+ * `geocodeGlobal` across everyone, to stay inside the daily quota.
+ * `geocodeIngest` is the crons' separate share of that quota, so geocoding
+ * new animals can never starve user searches (or the reverse).
+ */
+export const RATE_LIMIT_POLICIES = {
+  waitlist: { limit: 5, windowSeconds: 60 * 60 },
+  inquire: { limit: 10, windowSeconds: 60 * 60 },
+  register: { limit: 10, windowSeconds: 60 * 60 },
+  like: { limit: 60, ipLimit: 300, windowSeconds: 60 },
+  events: { limit: 60, ipLimit: 300, windowSeconds: 60 },
+  geocode: { limit: 20, ipLimit: 60, windowSeconds: 60 * 60 },
+  geocodeGlobal: { limit: 2000, windowSeconds: 60 * 60 * 24 },
+  geocodeIngest: { limit: 500, windowSeconds: 60 * 60 * 24 },
+};
+
+// Checks one or more budgets (KEYS, with a window and limit per key in
+// ARGV after the time and member id) and records the request in all of them
+// only if every one has room, so a request one budget rejects doesn't use
+// up the others, and rejected requests don't extend a client's lockout.
+// Returns { allowed, keyIndex, count, msUntilOldestExpires } for the budget
+// that rejected the request, or else the one with the least room left.
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local counts = {}
+for i, key in ipairs(KEYS) do
+  local window = tonumber(ARGV[1 + i * 2])
+  local limit = tonumber(ARGV[2 + i * 2])
+  redis.call("ZREMRANGEBYSCORE", key, 0, now - window)
+  local count = redis.call("ZCARD", key)
+  if count >= limit then
+    local oldest = redis.call("ZRANGE", key, 0, 0, "WITHSCORES")
+    return { 0, i, count, tonumber(oldest[2]) + window - now }
+  end
+  counts[i] = count + 1
+end
+local tightest, tightestRoom, tightestReset
+for i, key in ipairs(KEYS) do
+  local window = tonumber(ARGV[1 + i * 2])
+  local limit = tonumber(ARGV[2 + i * 2])
+  redis.call("ZADD", key, now, ARGV[2])
+  redis.call("PEXPIRE", key, window)
+  if not tightest or limit - counts[i] < tightestRoom then
+    local oldest = redis.call("ZRANGE", key, 0, 0, "WITHSCORES")
+    tightest = i
+    tightestRoom = limit - counts[i]
+    tightestReset = tonumber(oldest[2]) + window - now
+  end
+end
+return { 1, tightest, counts[tightest], tightestReset }
+`;
+
+export class RateLimitError extends Error {
+  constructor(policyName, retryAfterSeconds) {
+    super("Too many requests. Please try again later.");
+    this.name = "RateLimitError";
+    this.policyName = policyName;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Identifies who a request counts against: the user when known, otherwise
+ * the caller's IP (the first hop Vercel reports in `x-forwarded-for`).
+ * Budgets go through `getClientIds`, which counts both.
+ * @param {import("http").IncomingMessage} req
+ * @param {number | string} [userId]
+ * @returns {string}
+ */
+export const getClientId = (req, userId) => {
+  if (userId) return `user:${userId}`;
+  const forwarded = req.headers["x-forwarded-for"];
+  const ip =
+    (typeof forwarded === "string" && forwarded.split(",")[0].trim()) ||
+    req.headers["x-real-ip"] ||
+    req.socket?.remoteAddress ||
+    "unknown";
+  return `ip:${ip}`;
+};
+
+/**
+ * Everyone a request counts against: the user, when known, and always the
+ * caller's IP.
+ * @param {import("http").IncomingMessage} req
+ * @param {number | string} [userId]
+ * @returns {string[]}
+ */
+export const getClientIds = (req, userId) =>
+  userId ? [getClientId(req, userId), getClientId(req)] : [getClientId(req)];
+
+// A client's limit under a policy; IPs get `ipLimit` where it's set.
+const limitFor = (policyName, clientId) => {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  return clientId.startsWith("ip:") && policy.ipLimit
+    ? policy.ipLimit
+    : policy.limit;
+};
+
+/**
+ * Counts one request against several budgets at once: it's recorded in all
+ * of them or, if any is spent, in none. Fails open if Redis is unavailable:
+ * losing the limiter is better than losing the endpoint.
+ * @param {import("ioredis").Redis} redis The caller's Redis connection.
+ * @param {Array<[string, string]>} budgets `[policyName, clientId]` pairs;
+ * policy names are keys of `RATE_LIMIT_POLICIES`, client ids come from
+ * `getClientIds`.
+ * @returns {Promise<{ allowed: boolean, policyName: string, limit: number, remaining: number, resetSeconds: number }>}
+ * The budget that rejected the request, or else the one with the least
+ * room left.
+ */
+export const checkRateLimits = async (redis, budgets) => {
+  try {
+    const [allowed, index, count, resetMs] = await redis.eval(
+      SLIDING_WINDOW_SCRIPT,
+      budgets.length,
+      ...budgets.map(
+        ([policyName, clientId]) => `ratelimit:${policyName}:${clientId}`
+      ),
+      Date.now(),
+      randomUUID(),
+      ...budgets.flatMap(([policyName, clientId]) => [
+        RATE_LIMIT_POLICIES[policyName].windowSeconds * 1000,
+        limitFor(policyName, clientId),
+      ])
+    );
+    const [policyName, clientId] = budgets[index - 1];
+    const limit = limitFor(policyName, clientId);
+    return {
+      allowed: allowed === 1,
+      policyName,
+      limit,
+      remaining: Math.max(limit - count, 0),
+      resetSeconds: Math.max(Math.ceil(resetMs / 1000), 1),
+    };
+  } catch (error) {
+    const [policyName, clientId] = budgets[0];
+    const limit = limitFor(policyName, clientId);
+    logger.error({ err: error, policyName }, "Rate limit check failed");
+    return {
+      allowed: true,
+      policyName,
+      limit,
+      remaining: limit,
+      resetSeconds: 0,
+    };
+  }
+};
+
+/**
+ * Counts one request against a single policy (see `checkRateLimits`).
+ * @param {import("ioredis").Redis} redis The caller's Redis connection.
+ * @param {string} policyName A key of `RATE_LIMIT_POLICIES`.
+ * @param {string} clientId From `getClientId`.
+ * @returns {Promise<{ allowed: boolean, policyName: string, limit: number, remaining: number, resetSeconds: number }>}
+ */
+export const checkRateLimit = (redis, policyName, clientId) =>
+  checkRateLimits(redis, [[policyName, clientId]]);
+
+/**
+ * Replies 429 with a `Retry-After` header.
+ * @param {import("http").ServerResponse} res
+ * @param {RateLimitError} error
+ */
+export const sendRateLimited = (res, error) => {
+  res.setHeader("Retry-After", String(error.retryAfterSeconds));
+  return res.status(429).json({ message: error.message });
+};
+
+/**
+ * Applies a route's policy to the user and their IP and sets the
+ * `X-RateLimit-*` headers from whichever budget is tighter. When either is
+ * spent this has already replied 429 and the handler should return.
+ * @param {import("ioredis").Redis} redis
+ * @param {import("http").IncomingMessage} req
+ * @param {import("http").ServerResponse} res
+ * @param {string} policyName A key of `RATE_LIMIT_POLICIES`.
+ * @param {{ userId?: number | string }} [options]
+ * @returns {Promise<boolean>} True if the request may proceed.
+ */
+export const rateLimit = async (
+  redis,
+  req,
+  res,
+  policyName,
+  { userId } = {}
+) => {
+  const result = await checkRateLimits(
+    redis,
+    getClientIds(req, userId).map((clientId) => [policyName, clientId])
+  );
+
+  res.setHeader("X-RateLimit-Limit", String(result.limit));
+  res.setHeader("X-RateLimit-Remaining", String(result.remaining));
+  res.setHeader("X-RateLimit-Reset", String(result.resetSeconds));
+
+  if (!result.allowed) {
+    logger.warn({ policyName, url: req.url }, "Rate limit exceeded");
+    sendRateLimited(res, new RateLimitError(policyName, result.resetSeconds));
+    return false;
+  }
+  return true;
+};
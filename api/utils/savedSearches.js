@@ -0,0 +1,138 @@
+import { PrismaClient } from "@prisma/client";
+import dotenv from "dotenv";
+import { getUserCoordinates } from "./geocode.js";
+import { haversineKm, milesToKm } from "./geo.js";
+import { animalMatchesFilters, parseAnimalFilters } from "./animalFilters.js";
+import { NOTIFICATION_TYPES, queueNotification } from "./notifications.js";
+
+dotenv.config();
+
+export const SAVED_SEARCH_FEEDS = ["animals", "discovery"];
+const DEFAULT_DISTANCE_MILES = 100;
+const SEARCH_BATCH_SIZE = 500;
+
+const prisma = new PrismaClient();
+
+/**
+ * Picks the supported filter keys out of a client payload and resolves the
+ * location once, so matching never has to geocode.
+ * @param {object} filters The same filters the app sends to /api/animals or /api/discovery.
+ * @param {{ clientIds?: string[] }} [options] Passed through to `getUserCoordinates`.
+ * @returns {Promise<{ filters: object, latitude: number | null, longitude: number | null }>}
+ */
+export const normalizeSavedSearch = async (filters = {}, { clientIds } = {}) => {
+  const normalized = parseAnimalFilters(filters);
+  if (typeof filters.location === "string" && filters.location.trim()) {
+    normalized.location = filters.location.trim();
+  }
+  if (filters.distance !== undefined && filters.distance !== "") {
+    normalized.distance = String(filters.distance);
+  }
+
+  let coords = null;
+  if (normalized.location) {
+    coords = await getUserCoordinates(normalized.location, { clientIds });
+    if (!coords) {
+      throw new Error(`Could not geocode location "${normalized.location}".`);
+    }
+    normalized.distance = normalized.distance || String(DEFAULT_DISTANCE_MILES);
+  } else {
+    delete normalized.distance;
+  }
+
+  return {
+    filters: normalized,
+    latitude: coords?.lat ?? null,
+    longitude: coords?.lon ?? null,
+  };
+};
+
+const animalMatchesSearch = (animal, search) => {
+  const { filters } = search;
+  if (!animalMatchesFilters(animal, filters)) return false;
+
+  if (search.latitude !== null && search.longitude !== null) {
+    if (animal.latitude === null || animal.longitude === null) return false;
+    const radiusKm = milesToKm(filters.distance);
+    const distanceKm = haversineKm(
+      { lat: search.latitude, lon: search.longitude },
+      { lat: animal.latitude, lon: animal.longitude }
+    );
+    if (distanceKm > radiusKm) return false;
+  }
+  return true;
+};
+
+/**
+ * Records which saved searches each newly ingested animal satisfies and
+ * queues one notification per affected user.
+ * @param {Array<object>} animals Freshly created `AnimalWithVideo` rows.
+ * @returns {Promise<{ matches: number, usersNotified: number }>}
+ */
+export const matchSavedSearches = async (animals) => {
+  if (!animals || animals.length === 0) return { matches: 0, usersNotified: 0 };
+
+  const newMatchesByUser = new Map();
+  let totalMatches = 0;
+  let cursor = undefined;
+
+  while (true) {
+    const searches = await prisma.savedSearch.findMany({
+      take: SEARCH_BATCH_SIZE,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+      orderBy: { id: "asc" },
+    });
+    if (searches.length === 0) break;
+    cursor = searches[searches.length - 1].id;
+
+    const rows = [];
+    for (const search of searches) {
+      for (const animal of animals) {
+        if (animalMatchesSearch(animal, search)) {
+          rows.push({ savedSearchId: search.id, animalId: animal.id, search });
+        }
+      }
+    }
+    if (rows.length === 0) continue;
+
+    const { count } = await prisma.savedSearchMatch.createMany({
+      data: rows.map(({ savedSearchId, animalId }) => ({
+        savedSearchId,
+        animalId,
+      })),
+      skipDuplicates: true,
+    });
+    totalMatches += count;
+
+    for (const { search, animalId } of rows) {
+      const entry = newMatchesByUser.get(search.userId) || {
+        searchIds: new Set(),
+        animalIds: new Set(),
+        firstSearchName: search.name,
+      };
+      entry.searchIds.add(search.id);
+      entry.animalIds.add(animalId);
+      newMatchesByUser.set(search.userId, entry);
+    }
+
+    if (searches.length < SEARCH_BATCH_SIZE) break;
+  }
+
+  for (const [userId, entry] of newMatchesByUser) {
+    const animalCount = entry.animalIds.size;
+    await queueNotification(userId, {
+      type: NOTIFICATION_TYPES.SAVED_SEARCH_MATCH,
+      title: "New matches for your saved search",
+      body:
+        entry.searchIds.size === 1 && entry.firstSearchName
+          ? `${animalCount} new ${animalCount === 1 ? "pet matches" : "pets match"} "${entry.firstSearchName}".`
+          : `${animalCount} new ${animalCount === 1 ? "pet matches" : "pets match"} your saved searches.`,
+      data: {
+        savedSearchIds: [...entry.searchIds],
+        animalIds: [...entry.animalIds],
+      },
+    });
+  }
+
+  return { matches: totalMatches, usersNotified: newMatchesByUser.size };
+};
@@ -0,0 +1,91 @@
+import { Prisma, PrismaClient } from "@prisma/client";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const SEEN_FEEDS = {
+  VIDEOS: "videos",
+  DISCOVERY: "discovery",
+};
+
+const envDays = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// How long a seen animal stays out of a feed, unless its listing changes
+// first. Discovery decks are small, so they come round sooner.
+export const SEEN_EXPIRY_DAYS = {
+  [SEEN_FEEDS.VIDEOS]: envDays("SEEN_VIDEOS_EXPIRY_DAYS", 60),
+  [SEEN_FEEDS.DISCOVERY]: envDays("SEEN_DISCOVERY_EXPIRY_DAYS", 30),
+};
+
+const prisma = new PrismaClient();
+
+/**
+ * Records that a user was shown some animals in a feed. Seeing an animal
+ * again restarts its seen window. Ids that aren't animals are ignored.
+ * @param {number} userId The internal `User.id`.
+ * @param {string} feed One of `SEEN_FEEDS`.
+ * @param {number[]} animalIds
+ * @returns {Promise<number>} Rows written.
+ */
+export const markAnimalsSeen = async (userId, feed, animalIds) => {
+  if (!userId || !animalIds || animalIds.length === 0) return 0;
+  return prisma.$executeRaw`
+    INSERT INTO "SeenAnimal" ("userId", "animalId", "feed", "seenAt")
+    SELECT ${userId}, id, ${feed}, NOW()
+    FROM "AnimalWithVideo"
+    WHERE id IN (${Prisma.join(animalIds)})
+    ON CONFLICT ("userId", "feed", "animalId")
+    DO UPDATE SET "seenAt" = EXCLUDED."seenAt"
+  `;
+};
+
+/**
+ * Ids a feed should still leave out for a user: seen within the feed's
+ * window, since the user last reset the feed, and not changed since.
+ * @param {number} userId The internal `User.id`.
+ * @param {string} feed One of `SEEN_FEEDS`.
+ * @returns {Promise<number[]>}
+ */
+export const getSeenAnimalIds = async (userId, feed) => {
+  const since = new Date(
+    Date.now() - SEEN_EXPIRY_DAYS[feed] * 24 * 60 * 60 * 1000
+  );
+  const rows = await prisma.$queryRaw`
+    SELECT s."animalId"
+    FROM "SeenAnimal" s
+    JOIN "AnimalWithVideo" a ON a.id = s."animalId"
+    LEFT JOIN "SeenHistoryReset" r
+      ON r."userId" = s."userId" AND r.feed = s.feed
+    WHERE s."userId" = ${userId}
+    AND s.feed = ${feed}
+    AND s."seenAt" >= ${since}
+    AND s."seenAt" >= a."contentChangedAt"
+    AND (r."resetAt" IS NULL OR s."seenAt" > r."resetAt")
+  `;
+  return rows.map((row) => row.animalId);
+};
+
+/**
+ * Stops what a user has seen so far in the given feeds from hiding animals.
+ * The records themselves stay: watch counts and feed ranking still use
+ * them.
+ * @param {number} userId The internal `User.id`.
+ * @param {string[]} feeds Values of `SEEN_FEEDS`.
+ * @returns {Promise<Date>} When the reset took effect.
+ */
+export const resetSeenHistory = async (userId, feeds) => {
+  const resetAt = new Date();
+  await prisma.$transaction(
+    feeds.map((feed) =>
+      prisma.seenHistoryReset.upsert({
+        where: { userId_feed: { userId, feed } },
+        create: { userId, feed, resetAt },
+        update: { resetAt },
+      })
+    )
+  );
+  return resetAt;
+};
@@ -0,0 +1,163 @@
+import dotenv from "dotenv";
+import { getPromotedFields } from "../animalFilters.js";
+import { getVideoCandidates } from "../videoProbe.js";
+import { applyOverrides } from "../moderation.js";
+import { createPetfinderSource } from "./petfinder.js";
+import { createRescueGroupsSource } from "./rescueGroups.js";
+
+dotenv.config();
+
+/**
+ * An ingestion source. Adapters normalize their animals into Petfinder's
+ * payload shape, plus `externalId`, `organizationExternalId` and, when the
+ * source knows them, `latitude`/`longitude`.
+ * @typedef {object} AnimalSource
+ * @property {string} name Stored as `AnimalWithVideo.source`.
+ * @property {number} dailyScanBudget API calls the deep scan may spend per run.
+ * @property {(externalId: string) => string} organizationId Maps a source
+ * org id to `Organization.id`, which is shared by all sources.
+ * @property {(query: { lat: number, lng: number, radiusMiles: number, after: string, page: number, limit: number }) => Promise<{ animals: object[], hasMorePages: boolean }>} searchRecent
+ * Animals listed after `after` near a point, one page at a time.
+ * @property {(externalId: string) => Promise<object | null>} getAnimal Null
+ * once the listing has been removed.
+ * @property {(externalId: string) => Promise<object>} getOrganization
+ */
+
+const SOURCE_FACTORIES = {
+  petfinder: createPetfinderSource,
+  rescuegroups: createRescueGroupsSource,
+};
+
+/**
+ * The adapters listed in INGEST_SOURCES (comma-separated, default
+ * "petfinder"), in that order.
+ * @param {object} options
+ * @param {import("ioredis").Redis} options.redis
+ * @param {string} [options.logPrefix]
+ * @returns {AnimalSource[]}
+ */
+export const getEnabledSources = ({ redis, logPrefix }) =>
+  (process.env.INGEST_SOURCES || "petfinder")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => {
+      if (SOURCE_FACTORIES[name]) return true;
+      if (name) console.warn(`${logPrefix}: Unknown ingest source "${name}".`);
+      return false;
+    })
+    .map((name) => SOURCE_FACTORIES[name]({ redis, logPrefix }));
+
+/**
+ * The first video link that could play inline (YouTube/Vimeo/Facebook
+ * embeds can't). Only a cheap ingest filter; the video-probe cron checks
+ * the links actually stream.
+ * @param {object} animal A normalized animal.
+ * @returns {string | null}
+ */
+export const getPlayableVideoUrl = (animal) =>
+  getVideoCandidates(animal.videos)[0] || null;
+
+/**
+ * `AnimalWithVideo` fields for a normalized animal, shared by inserts and
+ * refreshes. Location and organization are left to the caller.
+ * @param {AnimalSource} source
+ * @param {object} animal
+ * @returns {object}
+ */
+export const toAnimalRecord = (source, animal) => ({
+  source: source.name,
+  externalId: animal.externalId,
+  name: animal.name,
+  url: animal.url,
+  type: animal.type,
+  age: animal.age,
+  gender: animal.gender,
+  size: animal.size,
+  status: animal.status,
+  breeds: animal.breeds,
+  colors: animal.colors,
+  photos: animal.photos,
+  videos: animal.videos,
+  contact: animal.contact,
+  attributes: animal.attributes,
+  environment: animal.environment,
+  description: animal.description,
+  ...getPromotedFields(animal),
+  // Left undefined when the listing has none, so a refresh keeps the stored
+  // ones; the deep scan fills them in for new animals.
+  city: animal.contact?.address?.city || undefined,
+  state: animal.contact?.address?.state || undefined,
+});
+
+// Changes that are worth showing an animal again to users who've seen it
+const CONTENT_FIELDS = ["status", "photos", "videos", "description"];
+
+/**
+ * Update data for a stored animal from a fresh copy of its listing. Admin
+ * overrides are reapplied, changed video links are queued for probing, a
+ * status change is added to the animal's history and a change to its
+ * content resets who has seen it. An archived animal that is listed again
+ * is restored.
+ * @param {AnimalSource} source
+ * @param {object} animal The normalized listing.
+ * @param {object} existing The stored `AnimalWithVideo` row.
+ * @returns {object}
+ */
+export const toRefreshedRecord = (source, animal, existing) => {
+  const data = applyOverrides(
+    toAnimalRecord(source, animal),
+    existing.overrides
+  );
+  if (JSON.stringify(data.videos) !== JSON.stringify(existing.videos)) {
+    data.videoProbeStatus = "pending";
+  }
+  if (
+    CONTENT_FIELDS.some(
+      (field) =>
+        JSON.stringify(data[field] ?? null) !==
+        JSON.stringify(existing[field] ?? null)
+    )
+  ) {
+    data.contentChangedAt = new Date();
+  }
+  if (existing.archivedAt) {
+    data.archivedAt = null;
+    data.statusEvents = {
+      create: { fromStatus: "removed", toStatus: data.status },
+    };
+  } else if (data.status !== existing.status) {
+    data.statusEvents = {
+      create: { fromStatus: existing.status, toStatus: data.status },
+    };
+  }
+  return data;
+};
+
+/**
+ * Update data that archives a stored animal whose listing is gone.
+ * @param {{ status: string }} existing The stored row.
+ * @returns {object}
+ */
+export const toArchivedRecord = (existing) => ({
+  archivedAt: new Date(),
+  statusEvents: {
+    create: { fromStatus: existing.status, toStatus: "removed" },
+  },
+});
+
+/**
+ * `Organization` fields for a normalized organization.
+ * @param {AnimalSource} source
+ * @param {object} org
+ * @returns {object}
+ */
+export const toOrganizationRecord = (source, org) => ({
+  id: source.organizationId(org.externalId),
+  source: source.name,
+  externalId: org.externalId,
+  name: org.name,
+  email: org.email,
+  phone: org.phone,
+  address: org.address,
+  url: org.url,
+});
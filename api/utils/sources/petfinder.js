@@ -0,0 +1,58 @@
+import { PetfinderClient } from "../petfinderClient.js";
+
+const DAILY_SCAN_BUDGET = 500;
+
+const toAnimal = ({ id, organization_id, ...animal }) => ({
+  ...animal,
+  externalId: String(id),
+  organizationExternalId: organization_id,
+});
+
+/**
+ * Petfinder adapter. Petfinder payloads are already in the shape
+ * `AnimalWithVideo` stores, so this mostly renames ids.
+ * @param {object} options
+ * @param {import("ioredis").Redis} options.redis
+ * @param {string} [options.logPrefix]
+ * @returns {import("./index.js").AnimalSource}
+ */
+export const createPetfinderSource = ({ redis, logPrefix }) => {
+  const client = new PetfinderClient({ redis, logPrefix });
+
+  return {
+    name: "petfinder",
+    dailyScanBudget: DAILY_SCAN_BUDGET,
+    // Petfinder org ids ("WA101") predate multiple sources, so they're kept.
+    organizationId: (externalId) => externalId,
+
+    async searchRecent({ lat, lng, radiusMiles, after, page, limit }) {
+      const { animals, pagination } = await client.searchAnimals({
+        limit,
+        page,
+        location: `${lat},${lng}`,
+        distance: radiusMiles,
+        sort: "recent",
+        after,
+      });
+      return {
+        animals: (animals || []).map(toAnimal),
+        hasMorePages: Boolean(pagination && page < pagination.total_pages),
+      };
+    },
+
+    async getAnimal(externalId) {
+      try {
+        return toAnimal(await client.getAnimal(externalId));
+      } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+      }
+    },
+
+    async getOrganization(externalId) {
+      const { id, name, email, phone, address, url } =
+        await client.getOrganization(externalId);
+      return { externalId: id, name, email, phone, address, url };
+    },
+  };
+};
@@ -0,0 +1,207 @@
+import axios from "axios";
+import axiosRetry from "axios-retry";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DEFAULT_BASE_URL = "https://api.rescuegroups.org/v5";
+const DAILY_SCAN_BUDGET = 300;
+const INCLUDES = "orgs,species,statuses,pictures,videos,videourls,locations";
+// RescueGroups org ids are plain numbers; the prefix keeps them apart from
+// Petfinder's in the shared `Organization.id`.
+const ORG_ID_PREFIX = "rg-";
+
+const STATUS_MAP = { available: "adoptable", adopted: "adopted" };
+
+// Builds a lookup for a JSON:API `included` array: type -> id -> attributes.
+const indexIncluded = (included = []) => {
+  const index = {};
+  for (const { type, id, attributes } of included) {
+    (index[type] ||= {})[id] = attributes;
+  }
+  return index;
+};
+
+const related = (resource, included, type) =>
+  (resource.relationships?.[type]?.data || [])
+    .map(({ id }) => included[type]?.[id])
+    .filter(Boolean);
+
+/**
+ * Maps a RescueGroups v5 animal into the Petfinder-shaped payload the rest
+ * of the app reads (breeds/colors/environment/attributes objects, photo
+ * sizes, iframe video embeds).
+ */
+const toAnimal = (resource, included) => {
+  const a = resource.attributes;
+  const [org] = related(resource, included, "orgs");
+  const [species] = related(resource, included, "species");
+  const [status] = related(resource, included, "statuses");
+  const [location] = related(resource, included, "locations");
+  const videoUrls = [
+    ...related(resource, included, "videos"),
+    ...related(resource, included, "videourls"),
+  ]
+    .map((v) => v.url)
+    .filter(Boolean);
+  const statusName = status?.name?.toLowerCase();
+
+  return {
+    externalId: resource.id,
+    organizationExternalId: resource.relationships?.orgs?.data?.[0]?.id,
+    name: a.name,
+    url: a.url || "",
+    type: species?.singular || "Unknown",
+    age: a.ageGroup || "Unknown",
+    gender: a.sex || "Unknown",
+    size: a.sizeGroup || "Unknown",
+    status: STATUS_MAP[statusName] || statusName || "adoptable",
+    breeds: {
+      primary: a.breedPrimary ?? null,
+      secondary: a.breedSecondary ?? null,
+      mixed: Boolean(a.isBreedMixed),
+      unknown: !a.breedPrimary,
+    },
+    colors: {
+      primary: a.colorDetails ?? null,
+      secondary: null,
+      tertiary: null,
+    },
+    photos: related(resource, included, "pictures").map((p) => ({
+      small: p.small?.url,
+      medium: p.large?.url,
+      large: p.large?.url,
+      full: p.original?.url,
+    })),
+    videos: videoUrls.map((url) => ({
+      embed: `<iframe src="${url}" frameborder="0" allowfullscreen></iframe>`,
+    })),
+    contact: {
+      email: org?.email ?? null,
+      phone: org?.phone ?? null,
+      address: {
+        city: location?.city ?? org?.city,
+        state: location?.state ?? org?.state,
+        postcode: location?.postalcode ?? org?.postalcode,
+        country: location?.country ?? org?.country,
+      },
+    },
+    attributes: {
+      house_trained: a.isHousetrained ?? null,
+      special_needs: a.isSpecialNeeds ?? null,
+    },
+    environment: {
+      children: a.isKidsOk ?? null,
+      dogs: a.isDogsOk ?? null,
+      cats: a.isCatsOk ?? null,
+    },
+    description: a.descriptionText ?? null,
+    latitude: location?.lat ?? org?.lat ?? null,
+    longitude: location?.lon ?? org?.lon ?? null,
+  };
+};
+
+/**
+ * RescueGroups v5 adapter (https://api.rescuegroups.org/v5). Needs
+ * RESCUEGROUPS_API_KEY; RESCUEGROUPS_BASE_URL overrides the host.
+ * @param {object} [options]
+ * @param {string} [options.logPrefix]
+ * @returns {import("./index.js").AnimalSource}
+ */
+export const createRescueGroupsSource = ({
+  logPrefix = "RESCUEGROUPS",
+} = {}) => {
+  const http = axios.create({
+    baseURL: process.env.RESCUEGROUPS_BASE_URL || DEFAULT_BASE_URL,
+    headers: {
+      Authorization: process.env.RESCUEGROUPS_API_KEY,
+      "Content-Type": "application/vnd.api+json",
+    },
+  });
+  axiosRetry(http, {
+    retries: 3,
+    retryDelay: (retryCount) => {
+      console.log(
+        `${logPrefix}: RescueGroups request failed, retrying in ${
+          retryCount * 2
+        } seconds...`
+      );
+      return retryCount * 2000;
+    },
+    retryCondition: (error) =>
+      axiosRetry.isNetworkError(error) ||
+      error.response?.status >= 500 ||
+      error.response?.status === 429,
+  });
+
+  return {
+    name: "rescuegroups",
+    dailyScanBudget: DAILY_SCAN_BUDGET,
+    organizationId: (externalId) => `${ORG_ID_PREFIX}${externalId}`,
+
+    async searchRecent({ lat, lng, radiusMiles, after, page, limit }) {
+      const { data } = await http.post(
+        "/public/animals/search/available",
+        {
+          data: {
+            filterRadius: { miles: radiusMiles, lat, lon: lng },
+            filters: [
+              {
+                fieldName: "animals.createdDate",
+                operation: "greaterthan",
+                criteria: after,
+              },
+            ],
+          },
+        },
+        {
+          params: {
+            include: INCLUDES,
+            sort: "-animals.createdDate",
+            limit,
+            page,
+          },
+        }
+      );
+      const included = indexIncluded(data.included);
+      return {
+        animals: (data.data || []).map((r) => toAnimal(r, included)),
+        hasMorePages: page < (data.meta?.pages || 0),
+      };
+    },
+
+    async getAnimal(externalId) {
+      try {
+        const { data } = await http.get(`/public/animals/${externalId}`, {
+          params: { include: INCLUDES },
+        });
+        const [resource] = data.data || [];
+        return resource
+          ? toAnimal(resource, indexIncluded(data.included))
+          : null;
+      } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+      }
+    },
+
+    async getOrganization(externalId) {
+      const { data } = await http.get(`/public/orgs/${externalId}`);
+      const [{ attributes: org }] = data.data;
+      return {
+        externalId,
+        name: org.name,
+        email: org.email ?? null,
+        phone: org.phone ?? null,
+        address: {
+          address1: org.street ?? null,
+          city: org.city ?? null,
+          state: org.state ?? null,
+          postcode: org.postalcode ?? null,
+          country: org.country ?? null,
+        },
+        url: org.url || "",
+      };
+    },
+  };
+};
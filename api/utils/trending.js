@@ -0,0 +1,186 @@
+import pino from "pino";
+
+const logger = pino({
+  transport:
+    process.env.NODE_ENV !== "production"
+      ? { target: "pino-pretty" }
+      : undefined,
+});
+
+// One sorted set of animal id -> trending score. Interactions add to an
+// animal's score as they happen; the trending-sweep cron decays every
+// score by elapsed time, so a burst of attention fades over a few days.
+export const TRENDING_KEY = "trending:animals";
+const LAST_SWEEP_KEY = "trending:last_sweep";
+export const TRENDING_HALF_LIFE_HOURS = 24;
+// Scores that have decayed below this are dropped from the set
+const MIN_TRENDING_SCORE = 0.05;
+// Each user counts once per animal and event type in this window, so one
+// client can't push an animal up the rail by replaying events
+const CREDIT_WINDOW_SECONDS = 24 * 60 * 60;
+// The most of one watch report that counts
+const MAX_CREDITED_WATCH_MINUTES = 5;
+// Ids per ZMSCORE, so scoring a large area doesn't build one huge command
+const SCORE_CHUNK_SIZE = 1000;
+
+/**
+ * What each interaction adds to an animal's score. A like is also a
+ * favorite, so it counts once. Engagement events use their
+ * `api/utils/engagementEvents.js` type; `watch_duration` counts per minute,
+ * up to `MAX_CREDITED_WATCH_MINUTES`.
+ */
+export const TRENDING_WEIGHTS = {
+  like: 3,
+  video_start: 0.25,
+  video_complete: 1,
+  watch_duration: 0.5,
+  swipe_right: 1,
+  share: 4,
+  tap_through: 3,
+};
+
+/**
+ * Sums engagement events into score increments per animal. Events the
+ * client sends late are decayed by their age, as if they'd arrived on time.
+ * @param {object[]} events Cleaned engagement events.
+ * @param {number} [now]
+ * @returns {Map<number, number>}
+ */
+export const scoreEngagementEvents = (events, now = Date.now()) => {
+  const increments = new Map();
+  for (const event of events) {
+    const weight = TRENDING_WEIGHTS[event.type];
+    if (!weight) continue;
+    const ageHours = Math.max(
+      (now - Date.parse(event.occurredAt)) / (60 * 60 * 1000),
+      0
+    );
+    const amount =
+      (event.type === "watch_duration"
+        ? weight *
+          Math.min(event.durationSeconds / 60, MAX_CREDITED_WATCH_MINUTES)
+        : weight) * Math.pow(0.5, ageHours / TRENDING_HALF_LIFE_HOURS);
+    increments.set(
+      event.animalId,
+      (increments.get(event.animalId) || 0) + amount
+    );
+  }
+  return increments;
+};
+
+/**
+ * Keeps only the events that earn a user trending credit: the first of each
+ * animal and event type in `CREDIT_WINDOW_SECONDS`. Fails closed, since
+ * uncapped credit is what this guards against.
+ * @param {import("ioredis").Redis} redis The caller's Redis connection.
+ * @param {number} userId The internal `User.id`.
+ * @param {object[]} events Cleaned engagement events.
+ * @returns {Promise<object[]>}
+ */
+export const filterCreditedEvents = async (redis, userId, events) => {
+  const candidates = new Map();
+  for (const event of events) {
+    if (!TRENDING_WEIGHTS[event.type]) continue;
+    const key = `trending:credit:${userId}:${event.animalId}:${event.type}`;
+    if (!candidates.has(key)) candidates.set(key, event);
+  }
+  if (candidates.size === 0) return [];
+
+  try {
+    const pipeline = redis.pipeline();
+    for (const key of candidates.keys()) {
+      pipeline.set(key, "1", "EX", CREDIT_WINDOW_SECONDS, "NX");
+    }
+    const results = await pipeline.exec();
+    return [...candidates.values()].filter(
+      (_, i) => !results[i][0] && results[i][1] === "OK"
+    );
+  } catch (error) {
+    logger.error({ err: error }, "Failed to check trending credit");
+    return [];
+  }
+};
+
+/**
+ * Adds to animals' trending scores. Fails open, like the rate limiter: a
+ * missed bump isn't worth failing the request that caused it.
+ * @param {import("ioredis").Redis} redis The caller's Redis connection.
+ * @param {Map<number, number>} increments Animal id -> amount (negative to
+ * take back, e.g. an unlike).
+ */
+export const bumpTrendingScores = async (redis, increments) => {
+  if (increments.size === 0) return;
+  try {
+    const pipeline = redis.pipeline();
+    for (const [animalId, amount] of increments) {
+      pipeline.zincrby(TRENDING_KEY, amount, animalId);
+    }
+    await pipeline.exec();
+  } catch (error) {
+    logger.error({ err: error }, "Failed to update trending scores");
+  }
+};
+
+/**
+ * Current scores for some animals, in the order given; 0 when unscored.
+ * @param {import("ioredis").Redis} redis
+ * @param {number[]} animalIds
+ * @returns {Promise<number[]>}
+ */
+export const getTrendingScores = async (redis, animalIds) => {
+  const scores = [];
+  for (let i = 0; i < animalIds.length; i += SCORE_CHUNK_SIZE) {
+    const chunk = await redis.zmscore(
+      TRENDING_KEY,
+      ...animalIds.slice(i, i + SCORE_CHUNK_SIZE)
+    );
+    scores.push(...chunk.map((score) => Number(score) || 0));
+  }
+  return scores;
+};
+
+/**
+ * The highest-scoring animals anywhere.
+ * @param {import("ioredis").Redis} redis
+ * @param {number} count
+ * @returns {Promise<Array<{ animalId: number, score: number }>>}
+ */
+export const getTopTrending = async (redis, count) => {
+  const flat = await redis.zrevrange(TRENDING_KEY, 0, count - 1, "WITHSCORES");
+  const top = [];
+  for (let i = 0; i < flat.length; i += 2) {
+    top.push({ animalId: Number(flat[i]), score: Number(flat[i + 1]) });
+  }
+  return top;
+};
+
+/**
+ * Decays every score by the time since the last sweep and drops the ones
+ * that have faded out. The first sweep only records the time.
+ * @param {import("ioredis").Redis} redis
+ * @param {number} [now]
+ * @returns {Promise<{ factor: number, removed: number, remaining: number }>}
+ */
+export const decayTrendingScores = async (redis, now = Date.now()) => {
+  const lastSweep = Number(await redis.get(LAST_SWEEP_KEY));
+  await redis.set(LAST_SWEEP_KEY, now);
+  if (!lastSweep || now <= lastSweep) {
+    return {
+      factor: 1,
+      removed: 0,
+      remaining: await redis.zcard(TRENDING_KEY),
+    };
+  }
+
+  const elapsedHours = (now - lastSweep) / (60 * 60 * 1000);
+  const factor = Math.pow(0.5, elapsedHours / TRENDING_HALF_LIFE_HOURS);
+  // ZUNIONSTORE onto itself rescales the whole set in one command. Unlikes
+  // can leave small negative scores; those go with the faded ones.
+  await redis.zunionstore(TRENDING_KEY, 1, TRENDING_KEY, "WEIGHTS", factor);
+  const removed = await redis.zremrangebyscore(
+    TRENDING_KEY,
+    "-inf",
+    `(${MIN_TRENDING_SCORE}`
+  );
+  return { factor, removed, remaining: await redis.zcard(TRENDING_KEY) };
+};
@@ -0,0 +1,143 @@
+import axios from "axios";
+
+const PROBE_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 5;
+// Players we ship can stream these directly; anything else (notably
+// text/html embed pages) is treated as unplayable.
+const PLAYABLE_CONTENT_TYPES = [
+  /^video\//,
+  /^application\/(vnd\.apple\.mpegurl|x-mpegurl)$/,
+];
+// Column is a Postgres integer
+const MAX_STORED_SIZE_BYTES = 2147483647;
+const VIDEO_EXTENSIONS = /\.(mp4|m4v|mov|webm|m3u8)(\?|$)/i;
+// Hosts whose links are players, not files.
+const EMBED_HOSTS = /youtube|youtu\.be|vimeo|facebook/;
+
+const http = axios.create({
+  timeout: PROBE_TIMEOUT_MS,
+  maxRedirects: MAX_REDIRECTS,
+  // Statuses are judged below rather than thrown.
+  validateStatus: () => true,
+});
+
+/**
+ * Every iframe `src` in a stored `videos` array that isn't a known embed
+ * host, in listing order.
+ * @param {Array<{ embed?: string }>} videos
+ * @returns {string[]}
+ */
+export const getVideoCandidates = (videos) =>
+  (Array.isArray(videos) ? videos : [])
+    .map((video) => video?.embed?.match(/src="([^"]+)"/)?.[1])
+    .filter((url) => url && /^https?:\/\//.test(url) && !EMBED_HOSTS.test(url));
+
+const isPlayableContentType = (contentType, url) => {
+  const type = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (PLAYABLE_CONTENT_TYPES.some((pattern) => pattern.test(type))) {
+    return true;
+  }
+  // Some CDNs serve every file as octet-stream; trust the extension then.
+  return type === "application/octet-stream" && VIDEO_EXTENSIONS.test(url);
+};
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+const sendProbe = async (url) => {
+  const head = await http.head(url);
+  // Plenty of video hosts don't implement HEAD; ask for the first byte.
+  if (head.status < 400) return head;
+  const response = await http.get(url, {
+    headers: { Range: "bytes=0-0" },
+    responseType: "stream",
+  });
+  response.data.destroy();
+  return response;
+};
+
+/**
+ * Checks that a URL serves a streamable video.
+ * @param {string} url
+ * @returns {Promise<{ ok: boolean, url: string, contentType: string | null, sizeBytes: number | null, durationSeconds: number | null, error: string | null }>}
+ * `url` is the final URL after redirects.
+ */
+export const probeVideoUrl = async (url) => {
+  const result = {
+    ok: false,
+    url,
+    contentType: null,
+    sizeBytes: null,
+    durationSeconds: null,
+    error: null,
+  };
+
+  try {
+    const response = await sendProbe(url);
+    const headers = response.headers;
+    result.url = response.request?.res?.responseUrl || url;
+    result.contentType = headers["content-type"] || null;
+    // A ranged response reports the full size after the slash.
+    result.sizeBytes = toNumber(
+      headers["content-range"]?.split("/")[1] ??
+        (response.status === 200 ? headers["content-length"] : null)
+    );
+    result.durationSeconds = toNumber(
+      headers["x-content-duration"] ?? headers["content-duration"]
+    );
+
+    if (response.status >= 400) {
+      result.error = `HTTP ${response.status}`;
+    } else if (!isPlayableContentType(result.contentType, result.url)) {
+      result.error = `Unplayable content type ${result.contentType || "(none)"}`;
+    } else if (result.sizeBytes === 0) {
+      result.error = "Empty video";
+    } else {
+      result.ok = true;
+    }
+  } catch (error) {
+    result.error = error.code || error.message;
+  }
+  return result;
+};
+
+/**
+ * Probes an animal's video candidates in order and returns the
+ * `AnimalWithVideo` fields to store: the first playable one wins.
+ * @param {{ videos: Array<object> }} animal
+ * @returns {Promise<object>}
+ */
+export const probeAnimalVideos = async (animal) => {
+  const candidates = getVideoCandidates(animal.videos);
+  const errors = [];
+
+  for (const candidate of candidates) {
+    const probe = await probeVideoUrl(candidate);
+    if (probe.ok) {
+      return {
+        playableVideoUrl: probe.url,
+        videoContentType: probe.contentType,
+        videoSizeBytes:
+          probe.sizeBytes <= MAX_STORED_SIZE_BYTES ? probe.sizeBytes : null,
+        videoDuration: probe.durationSeconds,
+        videoProbeStatus: "playable",
+        videoProbeError: null,
+        videoProbedAt: new Date(),
+      };
+    }
+    errors.push(`${candidate}: ${probe.error}`);
+  }
+
+  return {
+    playableVideoUrl: null,
+    videoContentType: null,
+    videoSizeBytes: null,
+    videoDuration: null,
+    videoProbeStatus: "failed",
+    videoProbeError:
+      candidates.length === 0 ? "No direct video links" : errors.join("; "),
+    videoProbedAt: new Date(),
+  };
+};
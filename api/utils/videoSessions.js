@@ -0,0 +1,271 @@
+import { randomUUID } from "crypto";
+
+// A video session is four keys: the playlist queued so far (a list of
+// animal ids, appended a segment at a time), its meta hash (owner, where
+// and what to search, the tier the next segment starts at), and a recovery
+// hash (including the position each tier's ids start at in the playlist)
+// and a set of the ids actually served, which both outlive the playlist.
+// Activity slides the TTLs of all four.
+const SESSION_TTL_SECONDS = 2 * 60 * 60;
+const RECOVERY_TTL_SECONDS = 7 * 24 * 60 * 60;
+const EXTEND_LOCK_SECONDS = 30;
+// How long a page waits for another request's extension before giving up
+const EXTEND_LOCK_WAIT_MS = 5000;
+const EXTEND_LOCK_POLL_MS = 100;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const sessionKeys = (sessionId) => ({
+  playlist: `video-session:${sessionId}`,
+  meta: `video-session:${sessionId}:meta`,
+  recovery: `video-session:${sessionId}:recovery`,
+  served: `video-session:${sessionId}:served`,
+  lock: `video-session:${sessionId}:lock`,
+});
+
+// The tier of the id at `position`, from a recovery hash's `tierStarts`
+// (`[{ position, tier }]`, ascending). Sessions recorded without one keep
+// the tier they had reached.
+const tierAt = (tierStarts, position, fallback) => {
+  const starts = tierStarts ? JSON.parse(tierStarts) : [];
+  const start = starts.filter((s) => s.position <= position).pop();
+  return start?.tier ?? fallback;
+};
+
+const parseMeta = (sessionId, meta) => ({
+  sessionId,
+  userId: Number(meta.userId),
+  coords: { lat: Number(meta.lat), lon: Number(meta.lon) },
+  filters: JSON.parse(meta.filters || "{}"),
+  tier: meta.tier,
+  // Pages before this position were served by a session that expired
+  offset: Number(meta.offset) || 0,
+  exhausted: meta.exhausted === "1",
+});
+
+/**
+ * Starts an empty session. Nothing is queued until the first page asks.
+ * @param {import("ioredis").Redis} redis The caller's Redis connection.
+ * @param {{ userId: number, coords: { lat: number, lon: number }, filters?: object, tier: string }} options
+ * `tier` is where the first segment starts.
+ * @returns {Promise<object>} The session, as `loadVideoSession` returns it.
+ */
+export const createVideoSession = async (
+  redis,
+  { userId, coords, filters, tier }
+) => {
+  const sessionId = randomUUID();
+  const keys = sessionKeys(sessionId);
+  const meta = {
+    userId,
+    lat: coords.lat,
+    lon: coords.lon,
+    filters: JSON.stringify(filters || {}),
+    tier,
+    offset: 0,
+    exhausted: 0,
+  };
+  await redis
+    .multi()
+    .hset(keys.meta, meta)
+    .expire(keys.meta, SESSION_TTL_SECONDS)
+    .hset(keys.recovery, {
+      ...meta,
+      position: 0,
+      tierStarts: JSON.stringify([{ position: 0, tier }]),
+    })
+    .expire(keys.recovery, RECOVERY_TTL_SECONDS)
+    .exec();
+  return parseMeta(sessionId, meta);
+};
+
+/**
+ * Loads a user's session. One that has expired is rebuilt from its
+ * recovery record: the playlist starts over, empty, at the last position
+ * served and in the tier of the first id it hadn't served, so ids queued
+ * but never served are found again. What was served stays excluded (see
+ * `getServedIds`).
+ * @param {import("ioredis").Redis} redis
+ * @param {string} sessionId
+ * @param {number} userId Sessions only load for the user who started them.
+ * @returns {Promise<object | null>} `{ sessionId, userId, coords, filters,
+ * tier, offset, exhausted, recovered }`, or null when it's gone for good
+ * or belongs to someone else.
+ */
+export const loadVideoSession = async (redis, sessionId, userId) => {
+  const keys = sessionKeys(sessionId);
+  const meta = await redis.hgetall(keys.meta);
+  if (meta.userId) {
+    if (Number(meta.userId) !== userId) return null;
+    return { ...parseMeta(sessionId, meta), recovered: false };
+  }
+
+  const recovery = await redis.hgetall(keys.recovery);
+  if (!recovery.userId || Number(recovery.userId) !== userId) return null;
+  const { position, tierStarts, ...restored } = recovery;
+  restored.offset = position;
+  restored.exhausted = 0;
+  restored.tier = tierAt(tierStarts, Number(position), restored.tier);
+  await redis
+    .multi()
+    .del(keys.playlist)
+    .hset(keys.meta, restored)
+    .expire(keys.meta, SESSION_TTL_SECONDS)
+    .hset(keys.recovery, {
+      tierStarts: JSON.stringify([
+        { position: Number(position), tier: restored.tier },
+      ]),
+    })
+    .exec();
+  return { ...parseMeta(sessionId, restored), recovered: true };
+};
+
+/**
+ * Every id the session has queued, in order.
+ * @param {import("ioredis").Redis} redis
+ * @param {string} sessionId
+ * @returns {Promise<number[]>}
+ */
+export const getPlaylist = async (redis, sessionId) => {
+  const ids = await redis.lrange(sessionKeys(sessionId).playlist, 0, -1);
+  return ids.map(Number);
+};
+
+/**
+ * Every id the session has served to the user, including before it was
+ * recovered.
+ * @param {import("ioredis").Redis} redis
+ * @param {string} sessionId
+ * @returns {Promise<number[]>}
+ */
+export const getServedIds = async (redis, sessionId) => {
+  const ids = await redis.smembers(sessionKeys(sessionId).served);
+  return ids.map(Number);
+};
+
+/**
+ * How many ids the session has queued.
+ * @param {import("ioredis").Redis} redis
+ * @param {string} sessionId
+ * @returns {Promise<number>}
+ */
+export const getPlaylistLength = (redis, sessionId) =>
+  redis.llen(sessionKeys(sessionId).playlist);
+
+/**
+ * A slice of the playlist, by list index (inclusive).
+ * @param {import("ioredis").Redis} redis
+ * @param {string} sessionId
+ * @param {number} start
+ * @param {number} stop
+ * @returns {Promise<number[]>}
+ */
+export const readPlaylist = async (redis, sessionId, start, stop) => {
+  const ids = await redis.lrange(sessionKeys(sessionId).playlist, start, stop);
+  return ids.map(Number);
+};
+
+/**
+ * Where the session's playlist has got to: the tier its next segment starts
+ * at and whether every tier has run dry. Read fresh, since another request
+ * may have extended the session after this one loaded it.
+ * @param {import("ioredis").Redis} redis
+ * @param {string} sessionId
+ * @returns {Promise<{ tier: string, exhausted: boolean }>}
+ */
+export const getSessionProgress = async (redis, sessionId) => {
+  const [tier, exhausted] = await redis.hmget(
+    sessionKeys(sessionId).meta,
+    "tier",
+    "exhausted"
+  );
+  return { tier, exhausted: exhausted === "1" };
+};
+
+/**
+ * Appends a segment and records the tier the next one starts at, plus
+ * where each tier's ids start for recovery. Callers hold the extend lock.
+ * @param {import("ioredis").Redis} redis
+ * @param {string} sessionId
+ * @param {{ position: number, ids: number[], runs: Array<{ tier: string, count: number }>, tier: string, exhausted: boolean }} segment
+ * `position` is where the segment starts, counting from the session's first
+ * page; `runs` splits its ids by the tier they came from, in order.
+ */
+export const appendSegment = async (
+  redis,
+  sessionId,
+  { position, ids, runs, tier, exhausted }
+) => {
+  const keys = sessionKeys(sessionId);
+  const stored = await redis.hget(keys.recovery, "tierStarts");
+  const tierStarts = stored ? JSON.parse(stored) : [];
+  let start = position;
+  for (const run of [...runs, { tier, count: 0 }]) {
+    if (tierStarts[tierStarts.length - 1]?.tier !== run.tier) {
+      tierStarts.push({ position: start, tier: run.tier });
+    }
+    start += run.count;
+  }
+
+  const multi = redis.multi();
+  if (ids.length > 0) {
+    multi.rpush(keys.playlist, ...ids);
+    multi.expire(keys.playlist, SESSION_TTL_SECONDS);
+  }
+  await multi
+    .hset(keys.meta, { tier, exhausted: exhausted ? 1 : 0 })
+    .hset(keys.recovery, { tierStarts: JSON.stringify(tierStarts) })
+    .exec();
+};
+
+/**
+ * Slides the session's TTLs and records how far the user has got, which
+ * is where a recovered session picks up, and what this page served.
+ * @param {import("ioredis").Redis} redis
+ * @param {string} sessionId
+ * @param {number} position Ids served up to the end of this page.
+ * @param {number[]} [servedIds] The ids on this page.
+ */
+export const touchVideoSession = async (
+  redis,
+  sessionId,
+  position,
+  servedIds = []
+) => {
+  const keys = sessionKeys(sessionId);
+  const multi = redis.multi();
+  if (servedIds.length > 0) multi.sadd(keys.served, ...servedIds);
+  await multi
+    .expire(keys.playlist, SESSION_TTL_SECONDS)
+    .expire(keys.meta, SESSION_TTL_SECONDS)
+    .hset(keys.recovery, { position })
+    .expire(keys.recovery, RECOVERY_TTL_SECONDS)
+    .expire(keys.served, RECOVERY_TTL_SECONDS)
+    .exec();
+};
+
+/**
+ * Runs `extend` while no other request is extending the session, so two
+ * pages fetched at once can't queue the same segment twice. If another
+ * request holds the lock, waits a few seconds for it to finish; `extend`
+ * should then only add what that request didn't.
+ * @param {import("ioredis").Redis} redis
+ * @param {string} sessionId
+ * @param {() => Promise<void>} extend
+ * @returns {Promise<boolean>} Whether `extend` ran; false if the other
+ * request was still extending when the wait ran out.
+ */
+export const withExtendLock = async (redis, sessionId, extend) => {
+  const { lock } = sessionKeys(sessionId);
+  const deadline = Date.now() + EXTEND_LOCK_WAIT_MS;
+  while (!(await redis.set(lock, "1", "EX", EXTEND_LOCK_SECONDS, "NX"))) {
+    if (Date.now() >= deadline) return false;
+    await delay(EXTEND_LOCK_POLL_MS);
+  }
+  try {
+    await extend();
+    return true;
+  } finally {
+    await redis.del(lock);
+  }
+};
@@ -1,8 +1,42 @@
 import { Prisma, PrismaClient } from "@prisma/client";
 import Redis from "ioredis";
 import { randomUUID } from "crypto";
-import opencage from "opencage-api-client";
 import pino from "pino";
+import { getUserCoordinates } from "./utils/geocode.js";
+import {
+  getClientIds,
+  RateLimitError,
+  sendRateLimited,
+} from "./utils/rateLimit.js";
+import { distanceKmSql, milesToKm, withinRadiusSql } from "./utils/geo.js";
+import {
+  buildAnimalFilterSql,
+  buildAnimalWhere,
+  parseAnimalFilters,
+} from "./utils/animalFilters.js";
+import {
+  buildUserAffinity,
+  rankCandidates,
+  RANKING_SELECT,
+  RANKING_WEIGHTS,
+} from "./utils/feedRanking.js";
+import { isAdminRequest } from "./utils/adminAuth.js";
+import { getAuthenticatedUser } from "./utils/auth.js";
+import { VISIBLE_ANIMAL_WHERE, visibleAnimalSql } from "./utils/moderation.js";
+import { getSeenAnimalIds, SEEN_FEEDS } from "./utils/seenHistory.js";
+import { withPendingLikes } from "./utils/likeCounter.js";
+import {
+  appendSegment,
+  createVideoSession,
+  getPlaylist,
+  getPlaylistLength,
+  getServedIds,
+  getSessionProgress,
+  loadVideoSession,
+  readPlaylist,
+  touchVideoSession,
+  withExtendLock,
+} from "./utils/videoSessions.js";
 
 // --- INITIALIZATION ---
 const prisma = new PrismaClient();
@@ -18,192 +52,343 @@ const logger = pino({
       : undefined,
 });
 
+const PAGE_SIZE = 10;
+// Each segment appended to a session's playlist. Sessions extend one
+// segment at a time as the user pages towards the end.
+const SEGMENT_SIZE = 50;
+// Enough to reach any page a client could reasonably skip to
+const MAX_SEGMENTS_PER_REQUEST = 4;
+// Candidate pools are a few times larger than a segment so ranking has
+// something to choose from without scoring the whole table.
+const REGIONAL_POOL_SIZE = 600;
+const NATIONWIDE_POOL_SIZE = 800;
+const HYPER_LOCAL_RADIUS_MILES = 30;
+const REGIONAL_RADIUS_MILES = 100;
+// Unprobed ("pending") videos are still served so new listings show up
+// before the video-probe cron gets to them; known-dead ones never are.
+const PLAYABLE_WHERE = { videoProbeStatus: { not: "failed" } };
+// Admin pins lead every new session, ahead of the local tiers.
+const MAX_PINNED = 10;
+
 redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
 
 // --- HELPER FUNCTIONS ---
-const getUserCoordinates = async (location) => {
-  const sanitizedLocation = location.toLowerCase().replace(/[^a-z0-9]/g, "");
-  const cacheKey = `coords:${sanitizedLocation}`;
-
-  const cachedCoords = await redis.get(cacheKey);
-  if (cachedCoords) {
-    logger.info({ location }, `Cache HIT for coordinates`);
-    return JSON.parse(cachedCoords);
-  }
+const summarizeRanking = (ranked, size) =>
+  ranked.slice(0, size).map(({ id, score, components, distanceKm }) => ({
+    id,
+    score,
+    components,
+    distanceKm,
+  }));
+
+const notInSql = (ids) =>
+  ids.length > 0
+    ? Prisma.sql`AND id NOT IN (${Prisma.join(ids)})`
+    : Prisma.empty;
+
+// Each tier fetches up to `take` ids the session hasn't served, nearest
+// first, then ranked. A tier is exhausted once it returns everything it
+// has left; the next segment moves on to the following one.
+const TIERS = {
+  pinned: async ({ animalFilters, excludeIds, take }) => {
+    const pinned = await prisma.animalWithVideo.findMany({
+      where: {
+        AND: [
+          { OR: [{ pinnedUntil: null }, { pinnedUntil: { gt: new Date() } }] },
+          buildAnimalWhere(animalFilters),
+        ],
+        pinnedAt: { not: null },
+        id: { notIn: excludeIds.length > 0 ? excludeIds : undefined },
+        ...PLAYABLE_WHERE,
+        ...VISIBLE_ANIMAL_WHERE,
+      },
+      orderBy: { pinnedAt: "desc" },
+      take: Math.min(take, MAX_PINNED),
+      select: { id: true },
+    });
+    const ids = pinned.map((a) => a.id);
+    // Pins only lead; they're never topped up later in a session.
+    return { ids, exhausted: true, explain: ids };
+  },
 
-  logger.info(
-    { location },
-    `Cache MISS for coordinates. Calling OpenCage API.`
-  );
-  const geoData = await opencage.geocode({
-    q: location,
-    key: process.env.OPENCAGE_API_KEY,
-  });
-  if (!geoData.results || geoData.results.length === 0) {
-    logger.warn({ location }, "Geocoding failed to find results.");
-    return null;
+  hyperLocal: async ({ coords, filterSql, excludeIds, take }) => {
+    const rows = await prisma.$queryRaw`
+        SELECT id FROM "AnimalWithVideo"
+        WHERE ${withinRadiusSql(coords, milesToKm(HYPER_LOCAL_RADIUS_MILES))}
+        AND "videoProbeStatus" <> 'failed'
+        ${visibleAnimalSql()}
+        ${filterSql}
+        ${notInSql(excludeIds)}
+        ORDER BY ${distanceKmSql(coords)} ASC
+        LIMIT ${take};
+    `;
+    const ids = rows.map((c) => c.id);
+    return { ids, exhausted: ids.length < take, explain: ids };
+  },
+
+  regional: async ({ coords, filterSql, affinity, excludeIds, take }) => {
+    const regionalRadiusKm = milesToKm(REGIONAL_RADIUS_MILES);
+    const candidates = await prisma.$queryRaw`
+        SELECT id, type, size, age, "primaryBreed", "createdAt", "likeCount", latitude, longitude
+        FROM "AnimalWithVideo"
+        WHERE ${withinRadiusSql(coords, regionalRadiusKm)}
+        AND "videoProbeStatus" <> 'failed'
+        ${visibleAnimalSql()}
+        ${filterSql}
+        ${notInSql(excludeIds)}
+        ORDER BY RANDOM()
+        LIMIT ${REGIONAL_POOL_SIZE};
+    `;
+    const ranking = rankCandidates(await withPendingLikes(redis, candidates), {
+      affinity,
+      coords,
+      distanceScaleKm: regionalRadiusKm,
+    });
+    return {
+      ids: ranking.slice(0, take).map((c) => c.id),
+      exhausted: candidates.length <= take,
+      explain: summarizeRanking(ranking, take),
+    };
+  },
+
+  nationwide: async ({ coords, animalFilters, affinity, excludeIds, take }) => {
+    const candidates = await prisma.animalWithVideo.findMany({
+      where: {
+        id: { notIn: excludeIds.length > 0 ? excludeIds : undefined },
+        ...PLAYABLE_WHERE,
+        ...buildAnimalWhere(animalFilters),
+        ...VISIBLE_ANIMAL_WHERE,
+      },
+      orderBy: { createdAt: "desc" },
+      take: NATIONWIDE_POOL_SIZE,
+      select: RANKING_SELECT,
+    });
+    const ranking = rankCandidates(await withPendingLikes(redis, candidates), {
+      affinity,
+      coords,
+      distanceScaleKm: milesToKm(1000),
+    });
+    return {
+      ids: ranking.slice(0, take).map((c) => c.id),
+      exhausted: candidates.length <= take,
+      explain: summarizeRanking(ranking, take),
+    };
+  },
+};
+const TIER_ORDER = Object.keys(TIERS);
+
+// The next SEGMENT_SIZE ids for a session, starting at its current tier
+// and moving down the tiers as each runs dry.
+const buildSegment = async (session, excludeIds) => {
+  const animalFilters = parseAnimalFilters(session.filters);
+  const context = {
+    coords: session.coords,
+    animalFilters,
+    filterSql: buildAnimalFilterSql(animalFilters),
+    affinity: await buildUserAffinity(session.userId),
+  };
+
+  const ids = [];
+  const runs = [];
+  const explain = { weights: RANKING_WEIGHTS, affinity: context.affinity };
+  let tier = session.tier;
+  while (tier && ids.length < SEGMENT_SIZE) {
+    const result = await TIERS[tier]({
+      ...context,
+      excludeIds: [...excludeIds, ...ids],
+      take: SEGMENT_SIZE - ids.length,
+    });
+    ids.push(...result.ids);
+    if (result.ids.length > 0) runs.push({ tier, count: result.ids.length });
+    explain[tier] = result.explain;
+    if (!result.exhausted) break;
+    tier = TIER_ORDER[TIER_ORDER.indexOf(tier) + 1];
   }
 
-  const { lat, lng } = geoData.results[0].geometry;
-  const coords = { lat, lon: lng };
+  return {
+    ids,
+    runs,
+    // The last tier stays current once exhausted; there's nowhere to go.
+    tier: tier || TIER_ORDER[TIER_ORDER.length - 1],
+    exhausted: !tier,
+    explain,
+  };
+};
 
-  await redis.set(cacheKey, JSON.stringify(coords), "EX", 60 * 60 * 24 * 30);
-  return coords;
+// Appends segments until the playlist covers `needed` ids or runs out.
+// Everything already queued, served (before a recovery too) or seen is
+// excluded, so a session never repeats itself. The playlist and its
+// progress are read afresh: a request that waited on the extend lock
+// picks up from whatever the one before it queued.
+const extendSession = async (session, needed) => {
+  const playlist = await getPlaylist(redis, session.sessionId);
+  let { tier, exhausted } = await getSessionProgress(redis, session.sessionId);
+  const segments = [];
+  if (playlist.length >= needed || exhausted) {
+    return { length: playlist.length, exhausted, segments };
+  }
+  const servedIds = await getServedIds(redis, session.sessionId);
+  const seenIds = await getSeenAnimalIds(session.userId, SEEN_FEEDS.VIDEOS);
+  while (
+    playlist.length < needed &&
+    !exhausted &&
+    segments.length < MAX_SEGMENTS_PER_REQUEST
+  ) {
+    const segment = await buildSegment({ ...session, tier }, [
+      ...seenIds,
+      ...servedIds,
+      ...playlist,
+    ]);
+    await appendSegment(redis, session.sessionId, {
+      ...segment,
+      position: session.offset + playlist.length,
+    });
+    playlist.push(...segment.ids);
+    segments.push(segment);
+    ({ tier, exhausted } = segment);
+  }
+  return { length: playlist.length, exhausted, segments };
 };
 
 // --- VERCEL SERVERLESS FUNCTION HANDLER ---
+// Sessions never run out while there are videos left: each page extends
+// the playlist as needed, and an expired session is recovered where the
+// user left off.
 export default async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ message: "Method Not Allowed" });
   }
 
-  const { location, page = 1, sessionId, userId } = req.body;
-  const PAGE_SIZE = 10;
+  const { location, page = 1, sessionId, userId, filters } = req.body;
+  // Score breakdowns are internal, so ?explain=1 only works with the admin key.
+  const explain = req.query?.explain === "1" && isAdminRequest(req);
 
   if (!location && !sessionId) {
     return res
       .status(400)
       .json({ message: "Location or sessionId is required." });
   }
+  const numericPage = Number(page);
+  if (!Number.isInteger(numericPage) || numericPage < 1) {
+    return res.status(400).json({ message: "Invalid page." });
+  }
 
   try {
+    const user = await getAuthenticatedUser(req, { legacyUserId: userId });
+    if (!user) {
+      return res.status(401).json({ message: "Authentication required." });
+    }
+
+    let session;
     if (sessionId) {
-      const sessionKey = `session:${sessionId}`;
-      const animalIdsJson = await redis.get(sessionKey);
-      if (!animalIdsJson) {
+      session = await loadVideoSession(redis, sessionId, user.id);
+      // Another user's sessionId is treated as expired rather than served.
+      if (!session) {
         return res
           .status(404)
           .json({ message: "Session expired. Please refresh." });
       }
-      const animalIds = JSON.parse(animalIdsJson);
-      const totalPages = Math.ceil(animalIds.length / PAGE_SIZE);
-      const pageIds = animalIds.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
-
-      if (pageIds.length === 0) {
+    } else {
+      logger.info(
+        { location, userId: user.uuid },
+        "Creating new tiered video session"
+      );
+      const coords = await getUserCoordinates(location, {
+        clientIds: getClientIds(req, user.id),
+      });
+      if (!coords) {
         return res.status(200).json({
           animals: [],
-          pagination: { currentPage: page, totalPages, sessionId },
+          pagination: {
+            currentPage: 1,
+            totalPages: 0,
+            sessionId: randomUUID(),
+            hasMore: false,
+          },
         });
       }
-
-      const animalsData = await prisma.animalWithVideo.findMany({
-        where: { id: { in: pageIds } },
-        include: { organization: true },
-      });
-
-      const orderedAnimals = pageIds
-        .map((id) => animalsData.find((a) => a.id === id))
-        .filter(Boolean);
-      return res.status(200).json({
-        animals: orderedAnimals,
-        pagination: { currentPage: page, totalPages, sessionId },
+      session = await createVideoSession(redis, {
+        userId: user.id,
+        coords,
+        filters,
+        tier: TIER_ORDER[0],
       });
     }
 
-    logger.info({ location, userId }, "Creating new tiered video session");
-    const coords = await getUserCoordinates(location);
-
-    if (!coords) {
-      return res.status(200).json({
-        animals: [],
-        pagination: {
-          currentPage: 1,
-          totalPages: 0,
-          sessionId: randomUUID(),
-        },
-      });
-    }
-
-    const userLat = coords.lat;
-    const userLon = coords.lon;
-
-    let user = await prisma.user.findUnique({ where: { uuid: userId } });
-    if (!user) {
-      user = await prisma.user.create({ data: { uuid: userId } });
-    }
-
-    const seenVideos = await prisma.seenVideo.findMany({
-      where: { userId: user.id },
-      select: { animalId: true },
-    });
-    const seenVideoIds = seenVideos.map((v) => v.animalId);
-
-    const hyperLocalRadiusKm = 30 * 1.60934;
-    const regionalRadiusKm = 100 * 1.60934;
-
-    const hyperLocalAnimals = await prisma.$queryRaw`
-        SELECT id FROM "AnimalWithVideo"
-        WHERE (6371 * acos(LEAST(1.0, cos(radians(${userLat})) * cos(radians(latitude)) * cos(radians(longitude) - radians(${userLon})) + sin(radians(${userLat})) * sin(radians(latitude))))) < ${hyperLocalRadiusKm}
-        ${
-          seenVideoIds.length > 0
-            ? Prisma.sql`AND id NOT IN (${Prisma.join(seenVideoIds)})`
-            : Prisma.empty
-        }
-        ORDER BY (6371 * acos(LEAST(1.0, cos(radians(${userLat})) * cos(radians(latitude)) * cos(radians(longitude) - radians(${userLon})) + sin(radians(${userLat})) * sin(radians(latitude))))) ASC
-        LIMIT 50;
-    `;
-    const hyperLocalIds = hyperLocalAnimals.map((c) => c.id);
-
-    const seenAndHyperLocalIds = [...seenVideoIds, ...hyperLocalIds];
-    const regionalAnimals = await prisma.$queryRaw`
-        SELECT id FROM "AnimalWithVideo"
-        WHERE (6371 * acos(LEAST(1.0, cos(radians(${userLat})) * cos(radians(latitude)) * cos(radians(longitude) - radians(${userLon})) + sin(radians(${userLat})) * sin(radians(latitude))))) < ${regionalRadiusKm}
-        ${
-          seenAndHyperLocalIds.length > 0
-            ? Prisma.sql`AND id NOT IN (${Prisma.join(seenAndHyperLocalIds)})`
-            : Prisma.empty
+    // Pages before a recovered session's offset were served by the
+    // playlist that expired.
+    const start = (numericPage - 1) * PAGE_SIZE - session.offset;
+    let length = await getPlaylistLength(redis, session.sessionId);
+    let { exhausted } = session;
+    let segments = [];
+    if (start >= 0 && length < start + PAGE_SIZE && !exhausted) {
+      const extended = await withExtendLock(
+        redis,
+        session.sessionId,
+        async () => {
+          ({ length, exhausted, segments } = await extendSession(
+            session,
+            start + PAGE_SIZE
+          ));
         }
-        ORDER BY RANDOM()
-        LIMIT 150;
-    `;
-    const regionalIds = regionalAnimals.map((c) => c.id);
-
-    const allFoundIds = [...seenAndHyperLocalIds, ...regionalIds];
-    const nationwideAnimals = await prisma.animalWithVideo.findMany({
-      where: {
-        id: { notIn: allFoundIds.length > 0 ? allFoundIds : undefined },
-      },
-      take: 200,
-      select: { id: true },
-    });
-    let nationwideIds = nationwideAnimals.map((c) => c.id);
-    for (let i = nationwideIds.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [nationwideIds[i], nationwideIds[j]] = [
-        nationwideIds[j],
-        nationwideIds[i],
-      ];
+      );
+      // Another page of this session is still queueing what this one
+      // needs; a short page would look like the end of the feed.
+      if (!extended) {
+        res.setHeader("Retry-After", "1");
+        return res
+          .status(409)
+          .json({ message: "Session is busy. Please retry." });
+      }
     }
 
-    const finalPlaylist = [...hyperLocalIds, ...regionalIds, ...nationwideIds];
-
-    const newSessionId = randomUUID();
-    await redis.set(
-      `session:${newSessionId}`,
-      JSON.stringify(finalPlaylist),
-      "EX",
-      7200
+    const pageIds =
+      start >= 0
+        ? await readPlaylist(
+            redis,
+            session.sessionId,
+            start,
+            start + PAGE_SIZE - 1
+          )
+        : [];
+    await touchVideoSession(
+      redis,
+      session.sessionId,
+      session.offset + Math.max(start, 0) + pageIds.length,
+      pageIds
     );
-    const totalPages = Math.ceil(finalPlaylist.length / PAGE_SIZE);
-    const pageIds = finalPlaylist.slice(0, PAGE_SIZE);
-    if (pageIds.length === 0) {
-      return res.status(200).json({
-        animals: [],
-        pagination: { currentPage: 1, totalPages, sessionId: newSessionId },
-      });
-    }
-    const pageData = await prisma.animalWithVideo.findMany({
-      where: { id: { in: pageIds } },
-      include: { organization: true },
-    });
+
+    const pageData =
+      pageIds.length > 0
+        ? await prisma.animalWithVideo.findMany({
+            where: {
+              id: { in: pageIds },
+              ...PLAYABLE_WHERE,
+              ...VISIBLE_ANIMAL_WHERE,
+            },
+            include: { organization: true },
+          })
+        : [];
     const orderedAnimals = pageIds
       .map((id) => pageData.find((a) => a.id === id))
       .filter(Boolean);
-    res.status(200).json({
-      animals: orderedAnimals,
-      pagination: { currentPage: 1, totalPages, sessionId: newSessionId },
-    });
+
+    const responseData = {
+      animals: await withPendingLikes(redis, orderedAnimals),
+      pagination: {
+        currentPage: numericPage,
+        totalPages: Math.ceil((session.offset + length) / PAGE_SIZE),
+        sessionId: session.sessionId,
+        hasMore: !exhausted || start + PAGE_SIZE < length,
+      },
+    };
+    if (session.recovered) responseData.pagination.recovered = true;
+    if (explain) {
+      responseData.explain = { segments: segments.map((s) => s.explain) };
+    }
+    res.status(200).json(responseData);
   } catch (error) {
+    if (error instanceof RateLimitError) return sendRateLimited(res, error);
     logger.error({ err: error, body: req.body }, "Error in /api/videos");
     res.status(500).json({ message: "Failed to fetch video feed." });
   }
@@ -1,7 +1,10 @@
 import { PrismaClient } from "@prisma/client";
+import Redis from "ioredis";
 import pino from "pino";
+import { rateLimit } from "./utils/rateLimit.js";
 
 const prisma = new PrismaClient();
+const redis = new Redis(process.env.REDIS_URL);
 const logger = pino({
   transport:
     process.env.NODE_ENV !== "production"
@@ -9,11 +12,17 @@ const logger = pino({
       : undefined,
 });
 
+redis.on("error", (err) => logger.error({ err }, "Redis Client Error"));
+
 export default async function handler(req, res) {
   // --- CORS HEADERS ---
   res.setHeader("Access-Control-Allow-Origin", "*"); // or set to your frontend domain
   res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader(
+    "Access-Control-Expose-Headers",
+    "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset"
+  );
 
   // --- Handle preflight ---
   if (req.method === "OPTIONS") {
@@ -25,6 +34,9 @@ export default async function handler(req, res) {
     return res.status(405).json({ message: "Method Not Allowed" });
   }
 
+  // --- Throttle per IP ---
+  if (!(await rateLimit(redis, req, res, "waitlist"))) return;
+
   const { email } = req.body;
 
   if (!email || !email.includes("@")) {
@@ -0,0 +1,222 @@
+// dev/fake-petfinder/server.js
+// A local stand-in for the Petfinder v2 API, serving the fixtures in
+// ./fixtures. Point the crons at it with
+//   PETFINDER_BASE_URL=http://localhost:4010/v2
+//
+// Behaves like Petfinder where the crons care:
+// - POST /v2/oauth2/token issues bearer tokens; other routes return 401
+//   without one.
+// - Fixture animals are "published" one hour apart ending now, so `after`
+//   filtering keeps working no matter when the server starts.
+// - Animals marked `_gone` show up in searches but 404 when fetched by id,
+//   like a listing removed after adoption.
+// - FAKE_PETFINDER_429_EVERY=N answers every Nth API request with a 429 and
+//   `Retry-After: 1`, to exercise the client's backoff.
+// - Video links resolve like real shelter uploads do, for the video-probe
+//   cron: /media/<name>.mp4 streams a small MP4 (with Range support),
+//   /stream/<name>.mp4 does too but rejects HEAD like some CDNs,
+//   /watch/<name> redirects to one, /pages/<name> is an HTML player page and
+//   anything else 404s. The fixtures use one of each.
+// - GET /geocode/v1/json answers like OpenCage for the fixture addresses
+//   (street, postcode, then city-hub matches), so per-animal geocoding works
+//   offline with OPENCAGE_PROXY_URL=http://localhost:4010/geocode/v1/json.
+import express from "express";
+import { readFileSync } from "fs";
+
+// --- CONFIGURATION ---
+const PORT = parseInt(process.env.FAKE_PETFINDER_PORT) || 4010;
+const RATE_LIMIT_EVERY = parseInt(process.env.FAKE_PETFINDER_429_EVERY) || 0;
+const TOKEN_TTL_SECONDS = 3600;
+const VIDEO_DURATION_SECONDS = 12.5;
+const ORIGIN = process.env.FAKE_PETFINDER_ORIGIN || `http://localhost:${PORT}`;
+
+const loadFixture = (name) =>
+  JSON.parse(
+    readFileSync(
+      new URL(`./fixtures/${name}.json`, import.meta.url),
+      "utf8"
+    ).replaceAll("{{origin}}", ORIGIN)
+  );
+
+const startedAt = Date.now();
+const animals = loadFixture("animals").map((animal, index) => ({
+  ...animal,
+  published_at: new Date(startedAt - index * 3600 * 1000).toISOString(),
+}));
+const organizations = loadFixture("organizations");
+const places = loadFixture("places");
+const cityCoords = loadFixture("city-coords");
+
+// --- HELPER FUNCTIONS ---
+const issuedTokens = new Set();
+let apiRequestCount = 0;
+
+const problem = (res, status, title, detail) =>
+  res.status(status).json({
+    type: `https://www.petfinder.com/developers/v2/docs/errors/ERR-${status}`,
+    status,
+    title,
+    detail,
+  });
+
+const toPublic = ({ _gone, ...animal }) => animal;
+
+// Not a real movie, just an `ftyp` box padded out to a plausible size.
+const FAKE_MP4 = Buffer.concat([
+  Buffer.from([0, 0, 0, 0x18]),
+  Buffer.from("ftypisom", "ascii"),
+  Buffer.from([0, 0, 0x02, 0]),
+  Buffer.from("isommp41", "ascii"),
+  Buffer.alloc(64 * 1024),
+]);
+
+// --- SERVER ---
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.post("/v2/oauth2/token", (req, res) => {
+  if (req.body.grant_type !== "client_credentials") {
+    return problem(res, 400, "Bad Request", "Unsupported grant_type.");
+  }
+  const token = `fake-token-${issuedTokens.size + 1}`;
+  issuedTokens.add(token);
+  res.json({
+    token_type: "Bearer",
+    expires_in: TOKEN_TTL_SECONDS,
+    access_token: token,
+  });
+});
+
+app.use("/v2", (req, res, next) => {
+  const token = req.headers.authorization?.replace(/^Bearer /, "");
+  if (!issuedTokens.has(token)) {
+    return problem(res, 401, "Unauthorized", "Access token invalid.");
+  }
+
+  apiRequestCount++;
+  if (RATE_LIMIT_EVERY > 0 && apiRequestCount % RATE_LIMIT_EVERY === 0) {
+    res.setHeader("Retry-After", "1");
+    return problem(res, 429, "Too Many Requests", "Rate limit exceeded.");
+  }
+  next();
+});
+
+app.get("/v2/animals", (req, res) => {
+  const {
+    type,
+    status = "adoptable",
+    organization,
+    after,
+    page = "1",
+    limit = "20",
+  } = req.query;
+  const numericPage = Math.max(parseInt(page) || 1, 1);
+  const numericLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  // location/distance are accepted but ignored: every hub sees every animal.
+  const matches = animals
+    .filter((a) => !type || a.type.toLowerCase() === type.toLowerCase())
+    .filter((a) => status === "any" || a.status === status)
+    .filter((a) => !organization || a.organization_id === organization)
+    .filter((a) => !after || new Date(a.published_at) > new Date(after));
+
+  const totalPages = Math.ceil(matches.length / numericLimit);
+  res.json({
+    animals: matches
+      .slice((numericPage - 1) * numericLimit, numericPage * numericLimit)
+      .map(toPublic),
+    pagination: {
+      count_per_page: numericLimit,
+      total_count: matches.length,
+      current_page: numericPage,
+      total_pages: totalPages,
+      _links: {},
+    },
+  });
+});
+
+app.get("/v2/animals/:id", (req, res) => {
+  const animal = animals.find((a) => String(a.id) === req.params.id);
+  if (!animal || animal._gone) {
+    return problem(res, 404, "Not Found", "Unable to find animal.");
+  }
+  res.json({ animal: toPublic(animal) });
+});
+
+app.get("/v2/organizations/:id", (req, res) => {
+  const organization = organizations.find((o) => o.id === req.params.id);
+  if (!organization) {
+    return problem(res, 404, "Not Found", "Unable to find organization.");
+  }
+  res.json({ organization });
+});
+
+const sendVideo = (req, res) => {
+  if (!req.params.file.endsWith(".mp4")) {
+    return res.status(404).send("Not Found");
+  }
+  res.setHeader("Content-Type", "video/mp4");
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("X-Content-Duration", String(VIDEO_DURATION_SECONDS));
+
+  const range = req.headers.range?.match(/^bytes=(\d+)-(\d*)$/);
+  if (!range) return res.send(FAKE_MP4);
+
+  const start = parseInt(range[1]);
+  const end = Math.min(
+    range[2] ? parseInt(range[2]) : FAKE_MP4.length - 1,
+    FAKE_MP4.length - 1
+  );
+  if (start > end) {
+    res.setHeader("Content-Range", `bytes */${FAKE_MP4.length}`);
+    return res.status(416).end();
+  }
+  res.setHeader("Content-Range", `bytes ${start}-${end}/${FAKE_MP4.length}`);
+  res.status(206).send(FAKE_MP4.subarray(start, end + 1));
+};
+
+app.get("/media/:file", sendVideo);
+
+app.head("/stream/:file", (req, res) => res.status(405).end());
+app.get("/stream/:file", sendVideo);
+
+app.get("/watch/:name", (req, res) => {
+  res.redirect(302, `/media/${req.params.name}.mp4`);
+});
+
+app.get("/pages/:name", (req, res) => {
+  res
+    .type("html")
+    .send(
+      `<html><body><video src="/media/${req.params.name}.mp4"></video></body></html>`
+    );
+});
+
+app.get("/geocode/v1/json", (req, res) => {
+  const query = String(req.query.q || "").toLowerCase();
+  const result = (type, { lat, lng }) => ({
+    geometry: { lat, lng },
+    components: { _type: type },
+    formatted: req.query.q,
+  });
+
+  const street = places.streets.find((p) => query.includes(p.match));
+  const postcode = places.postcodes.find((p) => query.includes(p.match));
+  const city = Object.keys(cityCoords).find((name) =>
+    query.includes(name.toLowerCase())
+  );
+  const results = street
+    ? [result("building", street)]
+    : postcode
+    ? [result("postcode", postcode)]
+    : city
+    ? [result("city", cityCoords[city])]
+    : [];
+  res.json({ results, status: { code: 200, message: "OK" } });
+});
+
+app.listen(PORT, () => {
+  console.log(
+    `FAKE PETFINDER: Serving ${animals.length} animals and ${organizations.length} organizations at ${ORIGIN}/v2`
+  );
+});
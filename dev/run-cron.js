@@ -0,0 +1,80 @@
+// dev/run-cron.js
+// Runs a cron handler from api/crons once, outside Vercel:
+//   npm run cron -- discovery [--seed]
+//
+// With --seed it first primes Redis the way a long-running deployment would
+// have: geocoded city hubs from the fake Petfinder fixtures (so the deep
+// scan needs no OpenCage key) and a last-scan timestamp a week back.
+// Combined with `npm run fake-petfinder`, PETFINDER_BASE_URL and
+// OPENCAGE_PROXY_URL (for per-animal geocoding), both Petfinder crons run
+// end to end offline against a local Postgres + Redis.
+import dotenv from "dotenv";
+import Redis from "ioredis";
+import { readFileSync } from "fs";
+
+dotenv.config();
+
+const SEED_LOOKBACK_DAYS = 7;
+
+const args = process.argv.slice(2);
+const name = args.find((arg) => !arg.startsWith("--"));
+const seed = args.includes("--seed");
+
+if (!name) {
+  console.error("Usage: npm run cron -- <name> [--seed]");
+  process.exit(1);
+}
+
+const seedRedis = async () => {
+  const redis = new Redis(process.env.REDIS_URL);
+  const cityCoords = JSON.parse(
+    readFileSync(
+      new URL("./fake-petfinder/fixtures/city-coords.json", import.meta.url),
+      "utf8"
+    )
+  );
+  for (const [city, coords] of Object.entries(cityCoords)) {
+    await redis.hsetnx("worker:coords", city, JSON.stringify(coords));
+  }
+  const since = new Date(Date.now() - SEED_LOOKBACK_DAYS * 86400 * 1000);
+  await redis.set("worker:last_deep_scan_time", since.toISOString(), "NX");
+  console.log(
+    `RUN CRON: Seeded ${Object.keys(cityCoords).length} city hubs and the last scan time.`
+  );
+  await redis.quit();
+};
+
+// Just enough of Vercel's response object for the cron handlers.
+const createResponse = () => ({
+  statusCode: 200,
+  setHeader() {},
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  send(body) {
+    console.log(`RUN CRON: [${this.statusCode}] ${body}`);
+    return this;
+  },
+  json(body) {
+    console.log(`RUN CRON: [${this.statusCode}]`, JSON.stringify(body));
+    return this;
+  },
+  end() {
+    return this;
+  },
+});
+
+if (!process.env.PETFINDER_BASE_URL) {
+  console.warn(
+    "RUN CRON: PETFINDER_BASE_URL is not set; Petfinder crons will call the real API."
+  );
+}
+if (seed) await seedRedis();
+
+const { default: handler } = await import(`../api/crons/${name}.js`);
+const res = createResponse();
+await handler({ method: "GET", headers: {}, query: {} }, res);
+
+// The handlers' Prisma and Redis clients would keep the process alive.
+process.exit(res.statusCode >= 400 ? 1 : 0);
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "public"."Favorite" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "animalId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Favorite_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Favorite_userId_createdAt_idx" ON "public"."Favorite"("userId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Favorite_userId_animalId_key" ON "public"."Favorite"("userId", "animalId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Favorite" ADD CONSTRAINT "Favorite_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Favorite" ADD CONSTRAINT "Favorite_animalId_fkey" FOREIGN KEY ("animalId") REFERENCES "public"."AnimalWithVideo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
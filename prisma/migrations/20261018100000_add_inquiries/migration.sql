@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "public"."Inquiry" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER,
+    "animalId" INTEGER NOT NULL,
+    "organizationId" TEXT,
+    "name" TEXT NOT NULL,
+    "email" TEXT,
+    "phone" TEXT,
+    "message" TEXT NOT NULL,
+    "recipientEmail" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "error" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Inquiry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Inquiry_userId_createdAt_idx" ON "public"."Inquiry"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Inquiry_animalId_idx" ON "public"."Inquiry"("animalId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Inquiry" ADD CONSTRAINT "Inquiry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Inquiry" ADD CONSTRAINT "Inquiry_animalId_fkey" FOREIGN KEY ("animalId") REFERENCES "public"."AnimalWithVideo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
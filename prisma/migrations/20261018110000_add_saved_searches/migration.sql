@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "public"."SavedSearch" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "name" TEXT,
+    "feed" TEXT NOT NULL DEFAULT 'animals',
+    "filters" JSONB NOT NULL,
+    "latitude" DOUBLE PRECISION,
+    "longitude" DOUBLE PRECISION,
+    "lastViewedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SavedSearch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."SavedSearchMatch" (
+    "savedSearchId" INTEGER NOT NULL,
+    "animalId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SavedSearchMatch_pkey" PRIMARY KEY ("savedSearchId","animalId")
+);
+
+-- CreateIndex
+CREATE INDEX "SavedSearch_userId_idx" ON "public"."SavedSearch"("userId");
+
+-- CreateIndex
+CREATE INDEX "SavedSearchMatch_savedSearchId_createdAt_idx" ON "public"."SavedSearchMatch"("savedSearchId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."SavedSearch" ADD CONSTRAINT "SavedSearch_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SavedSearchMatch" ADD CONSTRAINT "SavedSearchMatch_savedSearchId_fkey" FOREIGN KEY ("savedSearchId") REFERENCES "public"."SavedSearch"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SavedSearchMatch" ADD CONSTRAINT "SavedSearchMatch_animalId_fkey" FOREIGN KEY ("animalId") REFERENCES "public"."AnimalWithVideo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,47 @@
+-- AlterTable
+ALTER TABLE "public"."AnimalWithVideo" ADD COLUMN     "description" TEXT,
+ADD COLUMN     "searchVector" tsvector;
+
+-- Text helpers shared by the trigger below and the /api/search highlighter
+CREATE OR REPLACE FUNCTION "public"."animal_breed_text"(breeds JSONB) RETURNS TEXT AS $$
+  SELECT concat_ws(' ',
+    breeds->>'primary',
+    breeds->>'secondary',
+    CASE WHEN (breeds->>'mixed')::boolean THEN 'mix' END)
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION "public"."animal_color_text"(colors JSONB) RETURNS TEXT AS $$
+  SELECT concat_ws(' ', colors->>'primary', colors->>'secondary', colors->>'tertiary')
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Turns {"house_trained": true, "special_needs": false} into "house trained"
+CREATE OR REPLACE FUNCTION "public"."animal_attribute_text"(attributes JSONB) RETURNS TEXT AS $$
+  SELECT coalesce(string_agg(replace(key, '_', ' '), ' '), '')
+  FROM jsonb_each(attributes)
+  WHERE value = 'true'::jsonb
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION "public"."animal_search_vector_update"() RETURNS trigger AS $$
+BEGIN
+  NEW."searchVector" :=
+    setweight(to_tsvector('english', coalesce(NEW."name", '')), 'A') ||
+    setweight(to_tsvector('english', animal_breed_text(NEW."breeds")), 'A') ||
+    setweight(to_tsvector('english', animal_color_text(NEW."colors")), 'B') ||
+    setweight(to_tsvector('english', animal_attribute_text(NEW."attributes")), 'C') ||
+    setweight(to_tsvector('english', coalesce(NEW."description", '')), 'D');
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+-- Keeps the vector current on ingest (INSERT) and refresh (UPDATE) without
+-- firing on unrelated writes such as likeCount changes.
+CREATE TRIGGER "AnimalWithVideo_search_vector"
+BEFORE INSERT OR UPDATE OF "name", "breeds", "colors", "attributes", "description"
+ON "public"."AnimalWithVideo"
+FOR EACH ROW EXECUTE FUNCTION "public"."animal_search_vector_update"();
+
+-- Backfill existing rows through the trigger
+UPDATE "public"."AnimalWithVideo" SET "name" = "name";
+
+-- CreateIndex
+CREATE INDEX "AnimalWithVideo_searchVector_idx" ON "public"."AnimalWithVideo" USING GIN ("searchVector");
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "AnimalWithVideo_latitude_longitude_idx" ON "public"."AnimalWithVideo"("latitude", "longitude");
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "AnimalWithVideo_status_createdAt_id_idx" ON "public"."AnimalWithVideo"("status", "createdAt", "id");
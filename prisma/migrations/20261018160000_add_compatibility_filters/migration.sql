@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "public"."AnimalWithVideo" ADD COLUMN     "goodWithCats" BOOLEAN,
+ADD COLUMN     "goodWithChildren" BOOLEAN,
+ADD COLUMN     "goodWithDogs" BOOLEAN,
+ADD COLUMN     "houseTrained" BOOLEAN,
+ADD COLUMN     "primaryBreed" TEXT,
+ADD COLUMN     "primaryColor" TEXT,
+ADD COLUMN     "secondaryBreed" TEXT,
+ADD COLUMN     "secondaryColor" TEXT,
+ADD COLUMN     "specialNeeds" BOOLEAN;
+
+-- Backfill promoted columns from the stored Petfinder JSON
+UPDATE "public"."AnimalWithVideo" SET
+    "primaryBreed" = "breeds"->>'primary',
+    "secondaryBreed" = "breeds"->>'secondary',
+    "primaryColor" = "colors"->>'primary',
+    "secondaryColor" = "colors"->>'secondary',
+    "goodWithChildren" = ("environment"->>'children')::boolean,
+    "goodWithDogs" = ("environment"->>'dogs')::boolean,
+    "goodWithCats" = ("environment"->>'cats')::boolean,
+    "houseTrained" = ("attributes"->>'house_trained')::boolean,
+    "specialNeeds" = ("attributes"->>'special_needs')::boolean;
+
+-- CreateIndex
+CREATE INDEX "AnimalWithVideo_type_size_idx" ON "public"."AnimalWithVideo"("type", "size");
+
+-- CreateIndex
+CREATE INDEX "AnimalWithVideo_goodWithChildren_goodWithDogs_goodWithCats_idx" ON "public"."AnimalWithVideo"("goodWithChildren", "goodWithDogs", "goodWithCats");
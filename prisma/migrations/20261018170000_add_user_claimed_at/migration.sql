@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "claimed_at" TIMESTAMP(3);
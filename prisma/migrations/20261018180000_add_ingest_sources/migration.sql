@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "public"."AnimalWithVideo" ADD COLUMN     "externalId" TEXT,
+ADD COLUMN     "source" TEXT NOT NULL DEFAULT 'petfinder';
+
+-- Every existing row is a Petfinder listing keyed by its Petfinder id
+UPDATE "public"."AnimalWithVideo" SET "externalId" = "id"::text;
+
+-- AlterTable
+ALTER TABLE "public"."AnimalWithVideo" ALTER COLUMN "externalId" SET NOT NULL;
+
+-- AlterTable
+-- Ids are assigned by us from here on. The sequence starts above every
+-- existing id so old ids (and clients' links to them) stay valid.
+CREATE SEQUENCE "public"."AnimalWithVideo_id_seq";
+SELECT setval('"public"."AnimalWithVideo_id_seq"', COALESCE((SELECT MAX("id") FROM "public"."AnimalWithVideo"), 0) + 1, false);
+ALTER TABLE "public"."AnimalWithVideo" ALTER COLUMN "id" SET DEFAULT nextval('"public"."AnimalWithVideo_id_seq"');
+ALTER SEQUENCE "public"."AnimalWithVideo_id_seq" OWNED BY "public"."AnimalWithVideo"."id";
+
+-- AlterTable
+ALTER TABLE "public"."Organization" ADD COLUMN     "externalId" TEXT,
+ADD COLUMN     "source" TEXT NOT NULL DEFAULT 'petfinder';
+
+UPDATE "public"."Organization" SET "externalId" = "id";
+
+-- AlterTable
+ALTER TABLE "public"."Organization" ALTER COLUMN "externalId" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AnimalWithVideo_source_externalId_key" ON "public"."AnimalWithVideo"("source", "externalId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Organization_source_externalId_key" ON "public"."Organization"("source", "externalId");
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "public"."AnimalWithVideo" ADD COLUMN     "playableVideoUrl" TEXT,
+ADD COLUMN     "videoContentType" TEXT,
+ADD COLUMN     "videoDuration" DOUBLE PRECISION,
+ADD COLUMN     "videoProbeError" TEXT,
+ADD COLUMN     "videoProbeStatus" TEXT NOT NULL DEFAULT 'pending',
+ADD COLUMN     "videoProbedAt" TIMESTAMP(3),
+ADD COLUMN     "videoSizeBytes" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "AnimalWithVideo_videoProbeStatus_videoProbedAt_idx" ON "public"."AnimalWithVideo"("videoProbeStatus", "videoProbedAt");
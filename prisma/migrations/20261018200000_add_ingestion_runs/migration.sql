@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "public"."IngestionRun" (
+    "id" SERIAL NOT NULL,
+    "job" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "scanAfter" TIMESTAMP(3),
+    "apiCalls" INTEGER NOT NULL DEFAULT 0,
+    "totals" JSONB NOT NULL DEFAULT '{}',
+    "hubs" JSONB NOT NULL DEFAULT '[]',
+    "errors" JSONB NOT NULL DEFAULT '[]',
+
+    CONSTRAINT "IngestionRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "IngestionRun_job_startedAt_idx" ON "public"."IngestionRun"("job", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "IngestionRun_startedAt_idx" ON "public"."IngestionRun"("startedAt");
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "public"."AnimalWithVideo" ADD COLUMN     "hiddenAt" TIMESTAMP(3),
+ADD COLUMN     "hiddenReason" TEXT,
+ADD COLUMN     "pinnedAt" TIMESTAMP(3),
+ADD COLUMN     "pinnedUntil" TIMESTAMP(3),
+ADD COLUMN     "overrides" JSONB NOT NULL DEFAULT '{}';
+
+-- AlterTable
+ALTER TABLE "public"."Organization" ADD COLUMN     "blockedAt" TIMESTAMP(3),
+ADD COLUMN     "blockedReason" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."AdminAuditLog" (
+    "id" SERIAL NOT NULL,
+    "action" TEXT NOT NULL,
+    "targetType" TEXT NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "actor" TEXT,
+    "details" JSONB NOT NULL DEFAULT '{}',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AdminAuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AnimalWithVideo_pinnedAt_idx" ON "public"."AnimalWithVideo"("pinnedAt");
+
+-- CreateIndex
+CREATE INDEX "AdminAuditLog_targetType_targetId_createdAt_idx" ON "public"."AdminAuditLog"("targetType", "targetId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AdminAuditLog_createdAt_idx" ON "public"."AdminAuditLog"("createdAt");
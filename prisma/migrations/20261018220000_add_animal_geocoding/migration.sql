@@ -0,0 +1,7 @@
+-- AlterTable
+-- Every existing row was placed at its deep-scan hub.
+ALTER TABLE "public"."AnimalWithVideo" ADD COLUMN     "coordsPrecision" TEXT NOT NULL DEFAULT 'hub',
+ADD COLUMN     "geocodedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "AnimalWithVideo_coordsPrecision_geocodedAt_idx" ON "public"."AnimalWithVideo"("coordsPrecision", "geocodedAt");
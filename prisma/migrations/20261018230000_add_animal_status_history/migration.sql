@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "public"."AnimalWithVideo" ADD COLUMN     "archivedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."AnimalStatusEvent" (
+    "id" SERIAL NOT NULL,
+    "animalId" INTEGER NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AnimalStatusEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AnimalStatusEvent_animalId_createdAt_idx" ON "public"."AnimalStatusEvent"("animalId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AnimalStatusEvent_toStatus_createdAt_idx" ON "public"."AnimalStatusEvent"("toStatus", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."AnimalStatusEvent" ADD CONSTRAINT "AnimalStatusEvent_animalId_fkey" FOREIGN KEY ("animalId") REFERENCES "public"."AnimalWithVideo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Start every existing animal's history at its current status
+INSERT INTO "public"."AnimalStatusEvent" ("animalId", "toStatus", "createdAt")
+SELECT "id", "status", "createdAt" FROM "public"."AnimalWithVideo";
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."Notification" ADD COLUMN     "readAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Notification_userId_readAt_idx" ON "public"."Notification"("userId", "readAt");
+
+-- CreateIndex
+CREATE INDEX "Favorite_animalId_idx" ON "public"."Favorite"("animalId");
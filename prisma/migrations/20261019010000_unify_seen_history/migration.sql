@@ -0,0 +1,52 @@
+-- SeenAnimal was first created with `db push` and has no migration of its
+-- own; create it where it's missing so the rest of this applies everywhere.
+CREATE TABLE IF NOT EXISTS "public"."SeenAnimal" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "animalId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SeenAnimal_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "public"."SeenAnimal" RENAME COLUMN "createdAt" TO "seenAt";
+ALTER TABLE "public"."SeenAnimal" ADD COLUMN     "feed" TEXT NOT NULL DEFAULT 'discovery';
+
+-- DropIndex
+DROP INDEX IF EXISTS "public"."SeenAnimal_userId_animalId_key";
+
+-- DropIndex
+DROP INDEX IF EXISTS "public"."SeenAnimal_userId_idx";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SeenAnimal_userId_feed_animalId_key" ON "public"."SeenAnimal"("userId", "feed", "animalId");
+
+-- CreateIndex
+CREATE INDEX "SeenAnimal_userId_feed_seenAt_idx" ON "public"."SeenAnimal"("userId", "feed", "seenAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."SeenAnimal" DROP CONSTRAINT IF EXISTS "SeenAnimal_userId_fkey";
+ALTER TABLE "public"."SeenAnimal" ADD CONSTRAINT "SeenAnimal_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SeenAnimal" DROP CONSTRAINT IF EXISTS "SeenAnimal_animalId_fkey";
+ALTER TABLE "public"."SeenAnimal" ADD CONSTRAINT "SeenAnimal_animalId_fkey" FOREIGN KEY ("animalId") REFERENCES "public"."AnimalWithVideo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move watched videos over. seen_videos never referenced the animal, so
+-- rows for animals that are gone are dropped.
+INSERT INTO "public"."SeenAnimal" ("userId", "animalId", "feed", "seenAt")
+SELECT sv."user_id", sv."animal_id", 'videos', sv."seen_at"
+FROM "public"."seen_videos" sv
+JOIN "public"."AnimalWithVideo" a ON a."id" = sv."animal_id"
+ON CONFLICT DO NOTHING;
+
+-- DropTable
+DROP TABLE "public"."seen_videos";
+
+-- AlterTable
+ALTER TABLE "public"."AnimalWithVideo" ADD COLUMN     "contentChangedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Count existing listings as unchanged since they were added, so current
+-- seen history isn't reset all at once
+UPDATE "public"."AnimalWithVideo" SET "contentChangedAt" = "createdAt";
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "public"."AnimalEngagement" (
+    "animalId" INTEGER NOT NULL,
+    "date" DATE NOT NULL,
+    "videoStarts" INTEGER NOT NULL DEFAULT 0,
+    "videoCompletes" INTEGER NOT NULL DEFAULT 0,
+    "watchSeconds" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "swipeLefts" INTEGER NOT NULL DEFAULT 0,
+    "swipeRights" INTEGER NOT NULL DEFAULT 0,
+    "shares" INTEGER NOT NULL DEFAULT 0,
+    "tapThroughs" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AnimalEngagement_pkey" PRIMARY KEY ("animalId","date")
+);
+
+-- CreateIndex
+CREATE INDEX "AnimalEngagement_date_idx" ON "public"."AnimalEngagement"("date");
+
+-- AddForeignKey
+ALTER TABLE "public"."AnimalEngagement" ADD CONSTRAINT "AnimalEngagement_animalId_fkey" FOREIGN KEY ("animalId") REFERENCES "public"."AnimalWithVideo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
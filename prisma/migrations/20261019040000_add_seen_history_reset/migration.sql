@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "public"."SeenHistoryReset" (
+    "userId" INTEGER NOT NULL,
+    "feed" TEXT NOT NULL,
+    "resetAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SeenHistoryReset_pkey" PRIMARY KEY ("userId","feed")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."SeenHistoryReset" ADD CONSTRAINT "SeenHistoryReset_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
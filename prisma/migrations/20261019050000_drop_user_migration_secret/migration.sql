@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."users" DROP COLUMN "migration_secret_hash";
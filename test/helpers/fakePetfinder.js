@@ -0,0 +1,61 @@
+import { spawn } from "child_process";
+import { createServer } from "net";
+import { fileURLToPath } from "url";
+
+const SERVER_PATH = fileURLToPath(
+  new URL("../../dev/fake-petfinder/server.js", import.meta.url)
+);
+const STARTUP_TIMEOUT_MS = 10000;
+
+// Asks the OS for a port nothing is listening on.
+const getFreePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.unref();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+/**
+ * Runs dev/fake-petfinder in a child process on a free port and resolves
+ * once it's listening.
+ * @param {object} [env] Extra environment, e.g. `FAKE_PETFINDER_429_EVERY`.
+ * @returns {Promise<{ origin: string, stop: () => Promise<void> }>}
+ */
+export const startFakePetfinder = async (env = {}) => {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, ...env, FAKE_PETFINDER_PORT: String(port) },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error("Fake Petfinder did not start in time."));
+    }, STARTUP_TIMEOUT_MS);
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Fake Petfinder exited with code ${code}.`));
+    });
+    child.stdout.on("data", (chunk) => {
+      if (chunk.toString().includes("FAKE PETFINDER: Serving")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  });
+
+  return {
+    origin: `http://localhost:${port}`,
+    stop: () =>
+      new Promise((resolve) => {
+        if (child.exitCode !== null) return resolve();
+        child.once("exit", () => resolve());
+        child.kill();
+      }),
+  };
+};
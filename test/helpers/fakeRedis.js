@@ -0,0 +1,40 @@
+// Just enough of ioredis, in memory, for the code under test: strings with
+// SET's EX/NX options, INCR and DEL. Expiry is recorded but not enforced.
+export const createFakeRedis = (initial = {}) => {
+  const values = new Map(Object.entries(initial));
+  const ttls = new Map();
+
+  return {
+    values,
+    ttls,
+    async get(key) {
+      return values.has(key) ? values.get(key) : null;
+    },
+    async set(key, value, ...options) {
+      const upper = options.map((option) => String(option).toUpperCase());
+      if (upper.includes("NX") && values.has(key)) return null;
+      values.set(key, String(value));
+      const ex = upper.indexOf("EX");
+      if (ex !== -1) ttls.set(key, Number(options[ex + 1]));
+      return "OK";
+    },
+    async del(...keys) {
+      let count = 0;
+      for (const key of keys) {
+        if (values.delete(key)) count++;
+        ttls.delete(key);
+      }
+      return count;
+    },
+    async incr(key) {
+      const next = (Number(values.get(key)) || 0) + 1;
+      values.set(key, String(next));
+      return next;
+    },
+    async expire(key, seconds) {
+      if (!values.has(key)) return 0;
+      ttls.set(key, Number(seconds));
+      return 1;
+    },
+  };
+};
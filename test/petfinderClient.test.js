@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { PetfinderClient } from "../api/utils/petfinderClient.js";
+import { createFakeRedis } from "./helpers/fakeRedis.js";
+import { startFakePetfinder } from "./helpers/fakePetfinder.js";
+
+const TOKEN_KEY = "petfinder_token";
+
+const createClient = (server, redis) =>
+  new PetfinderClient({
+    redis,
+    logPrefix: "TEST",
+    baseUrl: `${server.origin}/v2`,
+  });
+
+describe("PetfinderClient", () => {
+  let server;
+  before(async () => {
+    server = await startFakePetfinder();
+  });
+  after(() => server.stop());
+
+  test("fetches a token once and reuses it until it expires", async () => {
+    const redis = createFakeRedis();
+    const client = createClient(server, redis);
+
+    const { animals } = await client.searchAnimals({ limit: 5 });
+    assert.ok(animals.length > 0);
+    const token = redis.values.get(TOKEN_KEY);
+    assert.match(token, /^fake-token-/);
+    // Cached a minute short of the server's expires_in
+    assert.equal(redis.ttls.get(TOKEN_KEY), 3600 - 60);
+
+    await client.searchAnimals({ limit: 5 });
+    assert.equal(redis.values.get(TOKEN_KEY), token);
+
+    redis.values.delete(TOKEN_KEY);
+    await client.searchAnimals({ limit: 5 });
+    assert.notEqual(redis.values.get(TOKEN_KEY), token);
+  });
+
+  test("waits for another worker's token fetch instead of starting one", async () => {
+    const redis = createFakeRedis({ [`${TOKEN_KEY}_lock`]: "1" });
+    const client = createClient(server, redis);
+    setTimeout(() => redis.values.set(TOKEN_KEY, "shared-token"), 100);
+
+    assert.equal(await client.getValidToken(), "shared-token");
+  });
+
+  test("drops a revoked token and retries once with a fresh one", async () => {
+    const redis = createFakeRedis({ [TOKEN_KEY]: "revoked-token" });
+    const client = createClient(server, redis);
+
+    const { animals } = await client.searchAnimals({ limit: 1 });
+    assert.equal(animals.length, 1);
+    assert.match(redis.values.get(TOKEN_KEY), /^fake-token-/);
+  });
+
+  test("rejects with the 404 once a listing is gone", async () => {
+    const client = createClient(server, createFakeRedis());
+
+    await assert.rejects(client.getAnimal(999999999), (error) => {
+      assert.equal(error.response?.status, 404);
+      return true;
+    });
+  });
+
+  test("counts each successful call against the daily budget", async () => {
+    const redis = createFakeRedis();
+    const client = createClient(server, redis);
+
+    await client.searchAnimals({ limit: 1 });
+    const dailyKey = `petfinder_api_count:${
+      new Date().toISOString().split("T")[0]
+    }`;
+    // The token request and the search
+    assert.equal(redis.values.get(dailyKey), "2");
+  });
+});
+
+describe("PetfinderClient against a rate-limited server", () => {
+  let server;
+  before(async () => {
+    server = await startFakePetfinder({ FAKE_PETFINDER_429_EVERY: "2" });
+  });
+  after(() => server.stop());
+
+  test("backs off on a 429 for at least Retry-After, then succeeds", async () => {
+    const client = createClient(server, createFakeRedis());
+
+    await client.searchAnimals({ limit: 1 });
+    const startedAt = Date.now();
+    const { animals } = await client.searchAnimals({ limit: 1 });
+
+    assert.equal(animals.length, 1);
+    // Retry-After is 1s; the client's own first backoff is 2s
+    assert.ok(Date.now() - startedAt >= 2000);
+  });
+});
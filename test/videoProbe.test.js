@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import {
+  getVideoCandidates,
+  probeAnimalVideos,
+  probeVideoUrl,
+} from "../api/utils/videoProbe.js";
+import { startFakePetfinder } from "./helpers/fakePetfinder.js";
+
+// dev/fake-petfinder's stand-in MP4
+const FAKE_MP4_BYTES = 65560;
+
+const embed = (url) => ({
+  embed: `<iframe src="${url}" frameborder="0" allowfullscreen></iframe>`,
+});
+
+describe("probeVideoUrl", () => {
+  let server;
+  before(async () => {
+    server = await startFakePetfinder();
+  });
+  after(() => server.stop());
+
+  test("accepts a video that answers HEAD", async () => {
+    const url = `${server.origin}/media/rex.mp4`;
+    const probe = await probeVideoUrl(url);
+
+    assert.deepEqual(probe, {
+      ok: true,
+      url,
+      contentType: "video/mp4",
+      sizeBytes: FAKE_MP4_BYTES,
+      durationSeconds: 12.5,
+      error: null,
+    });
+  });
+
+  test("falls back to a ranged GET when HEAD is rejected", async () => {
+    const probe = await probeVideoUrl(`${server.origin}/stream/rex.mp4`);
+
+    assert.equal(probe.ok, true);
+    // The size comes from Content-Range, not the one-byte body
+    assert.equal(probe.sizeBytes, FAKE_MP4_BYTES);
+    assert.equal(probe.durationSeconds, 12.5);
+  });
+
+  test("follows redirects and reports the final URL", async () => {
+    const probe = await probeVideoUrl(`${server.origin}/watch/rex`);
+
+    assert.equal(probe.ok, true);
+    assert.equal(probe.url, `${server.origin}/media/rex.mp4`);
+  });
+
+  test("rejects an HTML player page", async () => {
+    const probe = await probeVideoUrl(`${server.origin}/pages/rex`);
+
+    assert.equal(probe.ok, false);
+    assert.match(probe.error, /^Unplayable content type text\/html/);
+  });
+
+  test("reports the status of a missing video", async () => {
+    const probe = await probeVideoUrl(`${server.origin}/media/rex.mov`);
+
+    assert.equal(probe.ok, false);
+    assert.equal(probe.error, "HTTP 404");
+  });
+
+  test("reports a connection failure", async () => {
+    const { origin, stop } = await startFakePetfinder();
+    await stop();
+    const probe = await probeVideoUrl(`${origin}/media/rex.mp4`);
+
+    assert.equal(probe.ok, false);
+    assert.equal(probe.error, "ECONNREFUSED");
+  });
+});
+
+describe("probeAnimalVideos", () => {
+  let server;
+  before(async () => {
+    server = await startFakePetfinder();
+  });
+  after(() => server.stop());
+
+  test("stores the first candidate that plays", async () => {
+    const result = await probeAnimalVideos({
+      videos: [
+        embed("https://www.youtube.com/embed/abc123"),
+        embed(`${server.origin}/pages/rex`),
+        embed(`${server.origin}/watch/rex`),
+      ],
+    });
+
+    assert.equal(result.videoProbeStatus, "playable");
+    assert.equal(result.playableVideoUrl, `${server.origin}/media/rex.mp4`);
+    assert.equal(result.videoSizeBytes, FAKE_MP4_BYTES);
+    assert.equal(result.videoProbeError, null);
+  });
+
+  test("lists every candidate's error when none plays", async () => {
+    const result = await probeAnimalVideos({
+      videos: [
+        embed(`${server.origin}/pages/rex`),
+        embed(`${server.origin}/gone/rex.mp4`),
+      ],
+    });
+
+    assert.equal(result.videoProbeStatus, "failed");
+    assert.equal(result.playableVideoUrl, null);
+    assert.match(result.videoProbeError, /\/pages\/rex: Unplayable/);
+    assert.match(result.videoProbeError, /\/gone\/rex\.mp4: HTTP 404/);
+  });
+
+  test("fails without probing when there are only embed players", async () => {
+    const result = await probeAnimalVideos({
+      videos: [embed("https://player.vimeo.com/video/1")],
+    });
+
+    assert.equal(result.videoProbeStatus, "failed");
+    assert.equal(result.videoProbeError, "No direct video links");
+  });
+});
+
+test("getVideoCandidates skips embed hosts and non-HTTP links", () => {
+  assert.deepEqual(
+    getVideoCandidates([
+      embed("https://youtu.be/abc"),
+      embed("ftp://example.com/rex.mp4"),
+      embed("https://cdn.example.com/rex.mp4"),
+      { embed: "<p>no iframe</p>" },
+      null,
+    ]),
+    ["https://cdn.example.com/rex.mp4"]
+  );
+});